@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+"use strict";
+
+const cli = require('../lib/cli');
+
+cli.run(process.argv.slice(2), process).then(code => {
+  process.exitCode = code;
+});
@@ -1,645 +1,5209 @@
 "use strict";
 
+const EventEmitter = require('events');
+const readline = require('readline');
+const crypto = require('crypto');
 const task = require('xcane').task;
 const type = require('xcane').type;
-const cron = require('node-cron');
-const weak = require('weak');
-let __destroyCounter = 0;
+const errors = require('./lib/errors');
+const LruCache = require('./lib/cache');
+const serializers = require('./lib/serializers');
+const encrypted = require('./lib/encryption');
+const compressed = require('./lib/compression');
+const expressions = require('./lib/expressions');
+const RateLimiter = require('./lib/rate-limiter');
+const Monitor = require('./lib/monitor');
+const Ajv = require('ajv');
 
 /**
- * @desc issue a garbage collector monitor without risk of memory leak
- * @param {Weakref} ref - weak reference to object
- * @param {string} schedule - cron compatible schedule
- * @return {*} - a task object
+ * @desc names of events emitted by meta instances on data changes
  */
-function scheduleGc(ref, schedule) {
-  let task = cron.schedule(schedule, () => {
-    const instance = weak.get(ref);
+const CHANGE_EVENTS = ['set', 'delete', 'expire', 'evicted', 'clear'];
 
-    if (type.isOptional(instance)) {
-      task.destroy();
-      task = null;
-      __destroyCounter++;
+/**
+ * @desc callbacks waiting for commit of transactions, keyed by transaction
+ */
+const _commitCallbacks = new WeakMap();
+
+/**
+ * @desc number of times assign would retry when it detects a concurrent
+ * modification of a versioned record
+ */
+const ASSIGN_RETRIES = 10;
+
+/**
+ * @desc columns which are not exported as extra columns
+ */
+const IMPORT_COLUMNS = ['key', 'value', 'typed', 'ttl', 'expires', 'version'];
+
+/**
+ * @desc version of meta table layout created by this library
+ */
+const SCHEMA_VERSION = 5;
+
+/**
+ * @desc reserved key of record storing applied schema version
+ */
+const SCHEMA_KEY = '\u001fschema';
+
+/**
+ * @desc migrations of meta table in order of version along with columns
+ * and indexes they introduce and indexes they drop. indexes are given by
+ * names they had before version 5, since when names of indexes are prefixed
+ * by name of table, as some databases share index names among tables.
+ * optional columns are only added if instance defines them, so migrations
+ * are checked against current layout every time and an optional column
+ * enabled after table was created is added as well.
+ */
+const MIGRATIONS = Object.freeze([{
+  version: 1,
+  columns: ['key', 'value'],
+  indexes: [],
+  drops: []
+}, {
+  version: 2,
+  columns: ['expires'],
+  indexes: ['expires_index'],
+  drops: []
+}, {
+  version: 3,
+  columns: ['version'],
+  indexes: [],
+  drops: []
+}, {
+  version: 4,
+  columns: ['score'],
+  indexes: ['score_index'],
+  drops: []
+}, {
+  version: 5,
+  columns: [],
+  indexes: ['expires_index', 'score_index'],
+  drops: ['expires_index', 'score_index']
+}]);
+
+/**
+ * @desc operators understood by Sequelize 3
+ */
+const STRING_OPERATORS = Object.freeze(['and', 'or', 'eq', 'ne', 'gt', 'gte',
+  'lt', 'lte', 'in', 'notIn', 'like', 'notLike'].reduce((result, name) =>
+  Object.assign(result, {
+    [name]: `$${name}`
+  }), {}));
+
+/**
+ * @desc default lease of locks in seconds
+ */
+const LOCK_TTL = 30;
+
+/**
+ * @desc default number of expired keys removed by each batch of gc
+ */
+const GC_BATCH_SIZE = 1000;
+
+/**
+ * @desc default number of removed keys reported by gc
+ */
+const GC_MAX_KEYS = 1000;
+
+/**
+ * @desc separates key of a list, hash or sorted set from keys of its
+ * elements
+ */
+const ELEMENT_SEPARATOR = '\u001f';
+
+/**
+ * @desc added to positions of list elements so element keys contain
+ * positions as 16 digit numbers ordered by key
+ */
+const LIST_OFFSET = 1e15;
+
+/**
+ * @desc compiler of JSON schemas registered as validators
+ */
+const ajv = new Ajv({
+  allErrors: true
+});
+
+/**
+ * @desc converts key-value entries given as a plain object, a Map or an
+ * array of [key, value] pairs into an array of [key, value] pairs
+ * @param {*} entries - key-value entries
+ * @return {Array.<Array.<*> >} - array of [key, value] pairs
+ */
+function toEntries(entries) {
+  if (Array.isArray(entries)) {
+    return entries;
+  }
+
+  if (entries instanceof Map) {
+    return Array.from(entries);
+  }
+
+  return Object.keys(entries).map(key => [key, entries[key]]);
+}
+
+/**
+ * @desc gets operators used in where clauses. Sequelize 4 and later provide
+ * operator symbols, which are required since version 5 unless string
+ * aliases are enabled, while Sequelize 3 only understands strings.
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @return {*} - map of operator names to operators
+ */
+function operators(sequelize) {
+  if (parseInt(sequelize.Sequelize.version, 10) >= 4) {
+    return sequelize.Sequelize.Op;
+  }
+
+  return STRING_OPERATORS;
+}
+
+/**
+ * @desc builds a condition matching keys which start with a prefix
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} prefix - prefix of keys
+ * @return {*} - sequelize literal usable in where clause
+ */
+function startsWith(sequelize, prefix) {
+  const column = sequelize.getQueryInterface().quoteIdentifier('key');
+  const length = Array.from(prefix).length;
+
+  // unlike LIKE, comparison is case sensitive and needs no escaping
+  return sequelize.literal(
+    `SUBSTR(${column}, 1, ${length}) = ${sequelize.escape(prefix)}`);
+}
+
+/**
+ * @desc builds a condition on key column leaving out reserved records, such
+ * as record of schema version, whose keys start with element separator
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @return {*} - condition on key column
+ */
+function publicKeys(sequelize) {
+  const op = operators(sequelize);
+
+  return {
+    [op.notLike]: `${ELEMENT_SEPARATOR}%`
+  };
+}
+
+/**
+ * @desc builds a condition on key column matching keys of key space, so
+ * records of elements of lists, hashes and sorted sets along with reserved
+ * records, all of which contain element separator, are left out
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @return {*} - condition on key column
+ */
+function plainKeys(sequelize) {
+  const op = operators(sequelize);
+
+  return {
+    [op.notLike]: `%${ELEMENT_SEPARATOR}%`
+  };
+}
+
+/**
+ * @desc builds a where clause matching a key along with records of its
+ * elements, if it is a list, a hash or a sorted set
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} key - target key
+ * @return {*} - where clause
+ */
+function keyWhere(sequelize, key) {
+  const op = operators(sequelize);
+
+  return {
+    [op.or]: [{
+      key: key
+    }, startsWith(sequelize, `${key}${ELEMENT_SEPARATOR}`)]
+  };
+}
+
+/**
+ * @desc gets key of a list element at a position
+ * @param {string} key - key of list
+ * @param {number} position - position of element
+ * @return {string} - key of element
+ */
+function listKey(key, position) {
+  return `${key}${ELEMENT_SEPARATOR}l${
+    String(LIST_OFFSET + position).padStart(16, '0')}`;
+}
+
+/**
+ * @desc gets position of a list element from its key
+ * @param {string} key - key of element
+ * @return {number} - position of element
+ */
+function listPosition(key) {
+  return Number(key.substr(key.length - 16)) - LIST_OFFSET;
+}
+
+/**
+ * @desc builds a condition on key column matching elements of a list
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} key - key of list
+ * @return {*} - condition on key column
+ */
+function listRange(sequelize, key) {
+  const op = operators(sequelize);
+
+  return {
+    [op.gte]: `${key}${ELEMENT_SEPARATOR}l${'0'.repeat(16)}`,
+    [op.lte]: `${key}${ELEMENT_SEPARATOR}l${'9'.repeat(16)}`
+  };
+}
+
+/**
+ * @desc gets key of a hash field
+ * @param {string} key - key of hash
+ * @param {string} field - name of field
+ * @return {string} - key of field
+ */
+function hashKey(key, field) {
+  return `${key}${ELEMENT_SEPARATOR}h${field}`;
+}
+
+/**
+ * @desc builds a where clause matching fields of a hash
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} key - key of hash
+ * @return {*} - where clause
+ */
+function hashWhere(sequelize, key) {
+  const op = operators(sequelize);
+
+  return {
+    [op.and]: [startsWith(sequelize, hashKey(key, ''))]
+  };
+}
+
+/**
+ * @desc gets key of a sorted set member
+ * @param {string} key - key of sorted set
+ * @param {string} member - member of sorted set
+ * @return {string} - key of member
+ */
+function zsetKey(key, member) {
+  return `${key}${ELEMENT_SEPARATOR}z${member}`;
+}
+
+/**
+ * @desc builds a where clause matching members of a sorted set
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} key - key of sorted set
+ * @return {*} - where clause
+ */
+function zsetWhere(sequelize, key) {
+  const op = operators(sequelize);
+
+  return {
+    [op.and]: [startsWith(sequelize, zsetKey(key, ''))]
+  };
+}
+
+/**
+ * @desc splits a wildcard pattern of keys into tokens. * matches any text,
+ * ? matches a single character, [abc] and [a-z] match a character of a
+ * class, which is negated by a leading ! or ^, and backslash escapes next
+ * character. every other character, % and _ included, matches itself.
+ * @param {string} pattern - wildcard pattern of keys
+ * @return {Array.<*>} - tokens, each having type of literal, any, one or
+ * class, along with value of literals and negate and members of classes
+ */
+function parsePattern(pattern) {
+  const chars = Array.from(pattern);
+  const tokens = [];
+
+  for (let i = 0; i < chars.length; i++) {
+    if (chars[i] === '\\' && i + 1 < chars.length) {
+      tokens.push({
+        type: 'literal',
+        value: chars[++i]
+      });
+    } else if (chars[i] === '*') {
+      if (tokens.length < 1 || tokens[tokens.length - 1].type !== 'any') {
+        tokens.push({
+          type: 'any'
+        });
+      }
+    } else if (chars[i] === '?') {
+      tokens.push({
+        type: 'one'
+      });
     } else {
-      instance.gc();
+      const result = chars[i] === '[' ? parseClass(chars, i) : null;
+
+      if (type.isOptional(result)) {
+        tokens.push({
+          type: 'literal',
+          value: chars[i]
+        });
+      } else {
+        tokens.push(result.token);
+        i = result.end;
+      }
     }
-  });
+  }
+
+  return tokens;
+}
+
+/**
+ * @desc parses a character class of a wildcard pattern
+ * @param {Array.<string>} chars - characters of pattern
+ * @param {number} start - position of opening bracket
+ * @return {*} - object containing token and end, position of closing
+ * bracket, or null if class is not closed
+ */
+function parseClass(chars, start) {
+  let i = start + 1;
+  const negate = chars[i] === '!' || chars[i] === '^';
+  const members = [];
+
+  if (negate) {
+    i++;
+  }
+
+  const next = () => {
+    if (chars[i] === '\\' && i + 1 < chars.length) {
+      i++;
+    }
+
+    return chars[i++];
+  };
+
+  // a closing bracket right after opening one is a member
+  while (i < chars.length && (chars[i] !== ']' || members.length < 1)) {
+    const from = next();
+
+    if (chars[i] === '-' && i + 1 < chars.length && chars[i + 1] !== ']') {
+      i++;
+      members.push([from, next()]);
+    } else {
+      members.push([from, from]);
+    }
+  }
+
+  if (i >= chars.length) {
+    return null;
+  }
+
+  return {
+    token: {
+      type: 'class',
+      negate: negate,
+      members: members
+    },
+    end: i
+  };
+}
+
+/**
+ * @desc escapes wildcard characters of a text so it matches itself
+ * @param {string} text - text to escape
+ * @return {string} - wildcard pattern
+ */
+function escapePattern(text) {
+  return text.replace(/[\\*?[]/g, '\\$&');
+}
+
+/**
+ * @desc converts tokens of a wildcard pattern into a regular expression
+ * source matching whole keys, used by javascript, postgres and mysql
+ * @param {Array.<*>} tokens - tokens of wildcard pattern
+ * @return {string} - regular expression source
+ */
+function regExpSource(tokens) {
+  const escape = (text, special) => text.replace(special, '\\$&');
+
+  return `^${tokens.map(token => {
+    switch (token.type) {
+      case 'any':
+        return '.*';
+      case 'one':
+        return '.';
+      case 'class':
+        return `[${token.negate ? '^' : ''}${token.members.map(member =>
+          (member[0] === member[1] ? [member[0]] : member)
+            .map(char => escape(char, /[\\\][^-]/g)).join('-')).join('')}]`;
+      default:
+        return escape(token.value, /[\\^$.*+?()[\]{}|/]/g);
+    }
+  }).join('')}$`;
+}
+
+/**
+ * @desc converts tokens of a wildcard pattern into a pattern which escapes
+ * characters by enclosing them in brackets, used by sqlite GLOB and mssql
+ * LIKE
+ * @param {Array.<*>} tokens - tokens of wildcard pattern
+ * @param {string} any - wildcard matching any text
+ * @param {string} one - wildcard matching a single character
+ * @return {string} - pattern
+ */
+function bracketPattern(tokens, any, one) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'any':
+        return any;
+      case 'one':
+        return one;
+      case 'class': {
+        // inside brackets ] is literal only as first member and - only as
+        // last one, while ^ is literal anywhere except first
+        const rank = member => {
+          if (member[0] === ']') {
+            return 0;
+          }
+
+          if (member[1] === '-') {
+            return 3;
+          }
+
+          return member[0] === '^' ? 2 : 1;
+        };
+        const members = token.members.slice().sort((a, b) => rank(a) - rank(b))
+          .map(member => member[0] === member[1] ? member[0] :
+            `${member[0]}-${member[1]}`);
+
+        if (!token.negate && members[0] === '^') {
+          if (members.length === 1) {
+            return '^';
+          }
+
+          // only - may be left, which is literal as first member as well
+          members.push(members.shift());
+        }
+
+        return `[${token.negate ? '^' : ''}${members.join('')}]`;
+      }
+      default:
+        return [any, one, '['].indexOf(token.value) < 0 ? token.value :
+          `[${token.value}]`;
+    }
+  }).join('');
+}
+
+/**
+ * @desc converts tokens of a wildcard pattern without classes into a LIKE
+ * pattern escaped by !
+ * @param {Array.<*>} tokens - tokens of wildcard pattern
+ * @return {string} - pattern usable in LIKE clause along with ESCAPE '!'
+ */
+function likePattern(tokens) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'any':
+        return '%';
+      case 'one':
+        return '_';
+      default:
+        return token.value.replace(/[%_!]/g, '!$&');
+    }
+  }).join('');
+}
+
+/**
+ * @desc converts a wildcard pattern of keys into a regular expression
+ * @param {string} pattern - wildcard pattern of keys
+ * @return {RegExp} - expression matching whole keys
+ */
+function patternRegExp(pattern) {
+  return new RegExp(regExpSource(parsePattern(pattern)), 'su');
+}
+
+/**
+ * @desc builds a condition matching keys against a wildcard pattern. sqlite
+ * uses GLOB and mssql uses LIKE, both of which support classes. postgres and
+ * mysql use LIKE unless pattern has classes, in which case they use regular
+ * expressions. matching is case sensitive everywhere.
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} pattern - wildcard pattern of keys
+ * @return {*} - sequelize literal usable in where clause
+ */
+function patternCondition(sequelize, pattern) {
+  const column = sequelize.getQueryInterface().quoteIdentifier('key');
+  const tokens = parsePattern(pattern);
+  const dialect = sequelize.getDialect();
+
+  if (dialect === 'sqlite') {
+    return sequelize.literal(
+      `${column} GLOB ${sequelize.escape(bracketPattern(tokens, '*', '?'))}`);
+  }
+
+  if (dialect === 'mssql') {
+    return sequelize.literal(
+      `${column} LIKE ${sequelize.escape(bracketPattern(tokens, '%', '_'))}`);
+  }
+
+  const binary = dialect === 'postgres' ? '' : 'BINARY ';
+
+  if (tokens.every(token => token.type !== 'class')) {
+    return sequelize.literal(`${column} LIKE ${binary}` +
+      `${sequelize.escape(likePattern(tokens))} ESCAPE '!'`);
+  }
+
+  if (dialect === 'postgres') {
+    return sequelize.literal(
+      `${column} ~ ${sequelize.escape(regExpSource(tokens))}`);
+  }
+
+  // dot matches line breaks and matching is case sensitive, regardless of
+  // collation of column
+  return sequelize.literal(`${column} REGEXP ` +
+    `${sequelize.escape(`(?s-i)${regExpSource(tokens)}`)}`);
+}
+
+/**
+ * @desc builds a where clause matching keys against a wildcard pattern
+ * along with additional conditions
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string=} pattern - optional wildcard pattern of keys
+ * @param {*=} where - optional additional where clause
+ * @return {*} - where clause or null if there are no conditions
+ */
+function patternWhere(sequelize, pattern, where) {
+  const op = operators(sequelize);
+
+  if (type.isOptional(pattern)) {
+    return type.isOptional(where) ? null : where;
+  }
+
+  return {
+    [op.and]: [patternCondition(sequelize, pattern)].concat(
+      type.isOptional(where) ? [] : [where])
+  };
+}
+
+/**
+ * @desc builds a where clause matching keys against a wildcard pattern
+ * along with records of elements of matching lists, hashes and sorted sets
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string=} pattern - optional wildcard pattern of keys
+ * @return {*} - where clause or null if there is no pattern
+ */
+function ownedPatternWhere(sequelize, pattern) {
+  const op = operators(sequelize);
+
+  if (type.isOptional(pattern)) {
+    return null;
+  }
+
+  return {
+    [op.or]: [{
+      [op.and]: [{
+        key: plainKeys(sequelize)
+      }, patternCondition(sequelize, pattern)]
+    }, patternCondition(sequelize, `${pattern}${ELEMENT_SEPARATOR}*`)]
+  };
+}
+
+/**
+ * @desc splits a value path such as user.tags.0 into segments, numeric
+ * segments are indexes of arrays
+ * @param {string} path - dot separated path inside stored value
+ * @return {Array.<string|number>} - segments or null if path is invalid
+ */
+function valuePathSegments(path) {
+  if (!type.isString(path) || path.length < 1) {
+    return null;
+  }
+
+  const segments = path.split('.');
+
+  if (!segments.every(segment => /^([A-Za-z_$][\w$]*|\d+)$/.test(segment))) {
+    return null;
+  }
+
+  return segments.map(segment => /^\d+$/.test(segment) ?
+    Number(segment) : segment);
+}
+
+/**
+ * @desc checks a value filter given instead of a where clause
+ * @param {*} filter - object containing valuePath and either eq or ne
+ * @return {Error} - error describing invalid filter or null
+ */
+function valueFilterError(filter) {
+  if (type.isOptional(valuePathSegments(filter.valuePath))) {
+    return new Error(`invalid value path: ${filter.valuePath}`);
+  }
+
+  const operators = ['eq', 'ne'].filter(operator => operator in filter);
+
+  if (operators.length !== 1) {
+    return new Error('value filter should have either eq or ne');
+  }
+
+  const operand = filter[operators[0]];
+
+  if (operand !== null && !type.isString(operand) &&
+    !type.isNumber(operand) && !type.isBoolean(operand)) {
+    return new Error(`invalid value filter operand: ${operand}`);
+  }
+
+  return null;
+}
+
+/**
+ * @desc builds JSON path of sqlite and mysql pointing to a value inside
+ * stored values
+ * @param {Array.<string|number>} segments - segments of value path
+ * @return {string} - JSON path
+ */
+function jsonPath(segments) {
+  return `$.value${segments.map(segment =>
+    type.isNumber(segment) ? `[${segment}]` : `.${segment}`).join('')}`;
+}
+
+/**
+ * @desc builds sql expression of a value at a path inside stored values.
+ * sqlite gives values with their JSON types, while postgres and mysql give
+ * text, which mysql limits to 255 characters so it can be indexed.
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {Array.<string|number>} segments - segments of value path
+ * @return {string} - sql expression
+ */
+function valueExpression(sequelize, segments) {
+  const column = sequelize.getQueryInterface().quoteIdentifier('value');
+  const path = sequelize.escape(jsonPath(segments));
+
+  switch (sequelize.getDialect()) {
+    case 'sqlite':
+      return `json_extract(${column}, ${path})`;
+    case 'postgres':
+      return `(CAST(${column} AS JSON)${['value'].concat(segments)
+        .map((segment, index) => `${index === segments.length ? '->>' : '->'}${
+          type.isNumber(segment) ? segment : sequelize.escape(segment)}`)
+        .join('')})`;
+    default:
+      return `CAST(JSON_UNQUOTE(JSON_EXTRACT(${column}, ${path})) ` +
+        'AS CHAR(255))';
+  }
+}
+
+/**
+ * @desc builds a condition comparing value at a path inside stored values.
+ * eq: null matches missing and null values, while ne matches missing
+ * values as well.
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {*} filter - object containing valuePath and either eq or ne
+ * @return {*} - sequelize literal usable in where clause
+ */
+function valueCondition(sequelize, filter) {
+  const segments = valuePathSegments(filter.valuePath);
+  const expression = valueExpression(sequelize, segments);
+  const equal = 'eq' in filter;
+  const operand = equal ? filter.eq : filter.ne;
+
+  if (operand === null) {
+    let sql = `${expression} IS NULL`;
+
+    // unquoting a JSON null gives text null rather than sql null
+    if (sequelize.getDialect() === 'mysql' ||
+      sequelize.getDialect() === 'mariadb') {
+      sql = `(${sql} OR JSON_TYPE(JSON_EXTRACT(` +
+        `${sequelize.getQueryInterface().quoteIdentifier('value')}, ` +
+        `${sequelize.escape(jsonPath(segments))})) = 'NULL')`;
+    }
+
+    return sequelize.literal(equal ? sql : `NOT (${sql})`);
+  }
+
+  let literal = null;
+
+  if (sequelize.getDialect() === 'sqlite') {
+    literal = type.isBoolean(operand) ? Number(operand) :
+      sequelize.escape(operand);
+  } else {
+    literal = sequelize.escape(type.isString(operand) ? operand :
+      JSON.stringify(operand));
+  }
+
+  return sequelize.literal(equal ? `${expression} = ${literal}` :
+    `(${expression} IS NULL OR ${expression} <> ${literal})`);
+}
+
+/**
+ * @desc creates an async iterable that walks over all records matching a
+ * pattern by repeatedly calling scan on a storage
+ * @param {*} storage - storage object providing scan method
+ * @param {string=} pattern - optional wildcard pattern of keys
+ * @param {number=} count - optional number of records fetched per query
+ * @param {*=} transaction - optional sequelize transaction object
+ * @return {*} - async iterable of records
+ */
+function scanIterable(storage, pattern, count, transaction) {
+  return {
+    [Symbol.asyncIterator]() {
+      let records = [];
+      let cursor = null;
+      let done = false;
+
+      return {
+        next() {
+          if (records.length > 0) {
+            return Promise.resolve({
+              value: records.shift(),
+              done: false
+            });
+          }
+
+          if (done) {
+            return Promise.resolve({
+              value: undefined,
+              done: true
+            });
+          }
+
+          return storage.scan(pattern, {
+            cursor: cursor,
+            count: count
+          }, transaction).then(result => {
+            records = result.records;
+            cursor = result.cursor;
+            done = type.isOptional(cursor);
+
+            return this.next();
+          });
+        }
+      };
+    }
+  };
+}
+
+/**
+ * @desc writes text to a stream, waiting for it to drain if its buffer is
+ * full
+ * @param {stream.Writable} stream - target stream
+ * @param {string} text - text to write
+ * @return {Promise} - resolves when stream can accept more data
+ */
+function writeText(stream, text) {
+  return new Promise((resolve, reject) => {
+    const done = () => {
+      stream.removeListener('error', reject);
+      resolve();
+    };
+
+    stream.once('error', reject);
+
+    if (stream.write(text)) {
+      done();
+    } else {
+      stream.once('drain', done);
+    }
+  });
+}
+
+/**
+ * @desc writes unexpired records matching a pattern to a stream as lines of
+ * JSON containing key, value, remaining ttl in seconds and extra columns.
+ * elements of lists, hashes and sorted sets are written as records of their
+ * own, keyed by key of element, so import restores them. values decoded by
+ * serializer of storage are encoded by typed serializer, so types kept by
+ * serializer of storage survive the round trip. json serializer stores
+ * dates as strings, so they are exported as strings.
+ * @param {*} storage - storage object providing _scan method
+ * @param {Model} schema - sequelize model of meta table
+ * @param {stream.Writable} stream - target stream, which is not ended
+ * @param {*=} options - optional wildcard pattern of keys and count of
+ * records fetched per query
+ * @param {*=} transaction - optional sequelize transaction object
+ * @return {Promise.<number>} - resolves to number of exported records
+ */
+function exportRecords(storage, schema, stream, options, transaction) {
+  options = Object.assign({
+    pattern: null,
+    count: 100
+  }, options);
+
+  const extras = Object.keys(schema.rawAttributes).filter(
+    attribute => IMPORT_COLUMNS.indexOf(attribute) < 0);
+
+  return task.spawn(function * task() {
+    let cursor = null;
+    let exported = 0;
+
+    do {
+      const page = yield storage._scan(options.pattern, {
+        cursor: cursor,
+        count: options.count
+      }, true, transaction);
+
+      for (const record of page.records) {
+        const expires = record.getDataValue('expires');
+        const line = Object.assign({
+          key: record.key
+        }, JSON.parse(serializers.typed.encode(record.value)), {
+          ttl: type.isOptional(expires) ? null :
+            (expires.getTime() - Date.now()) / 1000
+        });
+
+        for (const attribute of extras) {
+          line[attribute] = record.getDataValue(attribute);
+        }
+
+        yield writeText(stream, `${JSON.stringify(line)}\n`);
+        exported++;
+      }
+
+      cursor = page.cursor;
+    } while (!type.isOptional(cursor));
+
+    return exported;
+  });
+}
+
+/**
+ * @desc parses a line written by export, throwing a ValidationError if it
+ * is not a JSON object
+ * @param {string} text - text of line
+ * @param {number} number - number of line, reported by errors
+ * @return {*} - parsed line
+ */
+function parseLine(text, number) {
+  let line;
+
+  try {
+    line = JSON.parse(text);
+  } catch (err) {
+    throw new errors.ValidationError(null, null, err.message, number);
+  }
+
+  if (type.isOptional(line) || typeof line !== 'object' ||
+    Array.isArray(line)) {
+    throw new errors.ValidationError(
+      null, null, 'line should be a JSON object', number);
+  }
+
+  return line;
+}
+
+/**
+ * @desc checks options of gc. earlier versions took a transaction as first
+ * argument, which is still accepted in place of options.
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {*=} options - options or a transaction given as first argument
+ * @param {*=} transaction - optional sequelize transaction object
+ * @return {*} - object containing options and transaction or error if
+ * options are invalid
+ */
+function gcArguments(sequelize, options, transaction) {
+  if (options instanceof sequelize.Sequelize.Transaction) {
+    return {
+      options: {},
+      transaction: options
+    };
+  }
+
+  if (!type.isOptional(options) && (typeof options !== 'object' ||
+    Object.getPrototypeOf(options) !== Object.prototype)) {
+    return {
+      error: new Error('gc options should be a plain object')
+    };
+  }
+
+  return {
+    options: Object.assign({}, options),
+    transaction: transaction
+  };
+}
+
+/**
+ * @desc runs a callback after transaction is committed or immediately if no
+ * transaction is given. callbacks of rolled back transactions never run.
+ * @param {*=} transaction - optional sequelize transaction object
+ * @param {function()} fn - callback to run
+ */
+function afterCommit(transaction, fn) {
+  if (type.isOptional(transaction)) {
+    fn();
+    return;
+  }
+
+  while (!type.isOptional(transaction.parent)) {
+    transaction = transaction.parent;
+  }
+
+  if (typeof transaction.afterCommit === 'function') {
+    transaction.afterCommit(() => fn());
+    return;
+  }
+
+  let callbacks = _commitCallbacks.get(transaction);
+
+  if (type.isOptional(callbacks)) {
+    const commit = transaction.commit;
+
+    callbacks = [];
+    _commitCallbacks.set(transaction, callbacks);
+
+    transaction.commit = function() {
+      return commit.apply(this, arguments).then(result => {
+        for (const callback of callbacks) {
+          callback();
+        }
+
+        return result;
+      });
+    };
+  }
+
+  callbacks.push(fn);
+}
+
+/**
+ * @desc allows for settings prefix to keys
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ * @private
+ */
+class _SequelizeDbMetaPrefixInstance extends EventEmitter {
+  /**
+   * @desc creates a new instance of _SequelizeDbMetaPrefixInstance
+   * @param {SequelizeDbMetaInstance} master - instance to master
+   * @param {string} prefix - prefix to use
+   */
+  constructor(master, prefix) {
+    super();
+
+    this._master = master;
+    this._prefix = prefix;
+    this._forwarders = {};
+    this._task = null;
+
+    // subscribe to master only while somebody listens to this instance,
+    // so short-lived prefix instances are not retained by master
+    this.on('newListener', event => {
+      if (CHANGE_EVENTS.indexOf(event) >= 0 &&
+        type.isOptional(this._forwarders[event])) {
+        this._forwarders[event] = payload => this._forward(event, payload);
+        this._master.on(event, this._forwarders[event]);
+      }
+    });
+
+    this.on('removeListener', event => {
+      if (!type.isOptional(this._forwarders[event]) &&
+        this.listenerCount(event) < 1) {
+        this._master.removeListener(event, this._forwarders[event]);
+        delete this._forwarders[event];
+      }
+    });
+  }
+
+  /**
+   * @desc re-emits an event of master if it belongs to this prefix
+   * @param {string} event - name of event
+   * @param {*} payload - event payload emitted by master
+   * @private
+   */
+  _forward(event, payload) {
+    if (type.isOptional(payload.key)) {
+      this.emit(event, payload);
+    } else if (payload.key.startsWith(this._prefix)) {
+      this.emit(event, Object.assign({}, payload, {
+        key: payload.key.substr(this._prefix.length)
+      }));
+    }
+  }
+
+  /**
+   * @desc gets table name
+   * @return {string} - table name
+   */
+  get tableName() {
+    return this._master.tableName;
+  }
+
+  /**
+   * @desc {Model} - return sequelize schema Model object
+   */
+  get schema() {
+    return this._master.schema;
+  }
+
+  /**
+   * @desc hit and miss statistics of cache of master
+   * @return {*} - cache statistics or null if cache is not enabled
+   */
+  get cacheStats() {
+    return this._master.cacheStats;
+  }
+
+  /**
+   * @desc statistics of last gc run by monitor of prefix
+   * @return {*} - gc statistics or null if monitor is not started or gc has
+   * not run yet
+   */
+  get monitorStats() {
+    return type.isOptional(this._task) ? null : this._task.stats;
+  }
+
+  /**
+   * @desc compression statistics of master
+   * @return {*} - compression statistics or null if compression is not
+   * enabled
+   */
+  get compressionStats() {
+    return this._master.compressionStats;
+  }
+
+  /**
+   * @desc converts key and applies prefix
+   * @param {string} key - key to object
+   * @return {string} - converted key
+   * @private
+   */
+  _convertKey(key) {
+    if (type.isOptional(key)) {
+      return `${this._prefix}*`;
+    }
+
+    return `${this._prefix}${key}`;
+  }
+
+  /**
+   * @desc converts wildcard pattern and applies prefix, wildcard characters
+   * of prefix match themselves
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @return {string} - converted pattern
+   * @private
+   */
+  _convertPattern(pattern) {
+    return `${escapePattern(this._prefix)}${
+      type.isOptional(pattern) ? '*' : pattern}`;
+  }
+
+  /**
+   * @desc gets value associated with a key or default if it does not exist
+   * @param {string} key - object key
+   * @param {*} value - default value to use if object does not exist
+   * @param {*=} transaction - optional sequelize transaction
+   * @return {Promise.<*>} - returns value at key or a default value
+   */
+  getOrDefault(key, value, transaction) {
+    return this._master.getOrDefault(
+      this._convertKey(key), value, transaction);
+  }
+
+  /**
+   * @desc gets value associated with a key or null if it does not exist
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction to use
+   * @return {Promise.<*|null>} - value at key or a null
+   */
+  getOrNull(key, transaction) {
+    return this._master.getOrNull(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc gets value stored at key or rejects with an error
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - value stored at key
+   */
+  get(key, transaction) {
+    return this._master.get(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc shows whether key is inside storage or not
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - true if key exists
+   */
+  has(key, transaction) {
+    return this._master.has(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc deletes value from storage, returns true if value was deleted
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - true if value was deleted
+   */
+  delete(key, transaction) {
+    return this._master.delete(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc adds value to database or overwrites existing value
+   * @param {string} key - object key
+   * @param {*} value - new object value
+   * @param {*=} data - additional data to write
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when value was added
+   */
+  put(key, value, data, transaction) {
+    return this._master.put(this._convertKey(key), value, data, transaction);
+  }
+
+  /**
+   * @desc merge previous value of key into new value
+   * @param {string} key - key to requested value
+   * @param {*} value - any javascript object to store
+   * @param {*=} data - additional optional data to write
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolve when value is created
+   */
+  assign(key, value, data, transaction) {
+    return this._master.assign(
+      this._convertKey(key), value, data, transaction);
+  }
+
+  /**
+   * @desc gets value stored at key along with version of record
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - object containing value and version stored at key
+   */
+  getWithVersion(key, transaction) {
+    return this._master.getWithVersion(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc sets value at key only if record is still at expected version
+   * @param {string} key - object key
+   * @param {number|null} expectedVersion - expected version of record
+   * @param {*} value - new object value
+   * @param {*=} data - additional data to write
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new version of record
+   */
+  compareAndSet(key, expectedVersion, value, data, transaction) {
+    return this._master.compareAndSet(
+      this._convertKey(key), expectedVersion, value, data, transaction);
+  }
+
+  /**
+   * @desc atomically adds a number to value stored at key
+   * @param {string} key - object key
+   * @param {number} delta - number to add to value
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value stored at key
+   */
+  incrBy(key, delta, transaction) {
+    return this._master.incrBy(this._convertKey(key), delta, transaction);
+  }
+
+  /**
+   * @desc atomically increments value stored at key by one
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value stored at key
+   */
+  incr(key, transaction) {
+    return this._master.incr(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc atomically decrements value stored at key by one
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value stored at key
+   */
+  decr(key, transaction) {
+    return this._master.decr(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc adds elements to head of a list
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   */
+  lpush(key, values, transaction) {
+    return this._master.lpush(this._convertKey(key), values, transaction);
+  }
+
+  /**
+   * @desc adds elements to tail of a list
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   */
+  rpush(key, values, transaction) {
+    return this._master.rpush(this._convertKey(key), values, transaction);
+  }
+
+  /**
+   * @desc removes and returns first element of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null
+   */
+  lpop(key, transaction) {
+    return this._master.lpop(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc removes and returns last element of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null
+   */
+  rpop(key, transaction) {
+    return this._master.rpop(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc gets number of elements of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   */
+  llen(key, transaction) {
+    return this._master.llen(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc gets elements of a list between two indices
+   * @param {string} key - key of list
+   * @param {number=} start - optional index of first element
+   * @param {number=} stop - optional index of last element
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to elements
+   */
+  lrange(key, start, stop, transaction) {
+    return this._master.lrange(
+      this._convertKey(key), start, stop, transaction);
+  }
+
+  /**
+   * @desc removes elements of a list outside of two indices
+   * @param {string} key - key of list
+   * @param {number} start - index of first element to keep
+   * @param {number} stop - index of last element to keep
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when list is trimmed
+   */
+  ltrim(key, start, stop, transaction) {
+    return this._master.ltrim(
+      this._convertKey(key), start, stop, transaction);
+  }
+
+  /**
+   * @desc sets value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {*} value - any javascript object to store
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - resolves to true if field was created
+   */
+  hset(key, field, value, transaction) {
+    return this._master.hset(
+      this._convertKey(key), field, value, transaction);
+  }
+
+  /**
+   * @desc gets value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to value of field or null
+   */
+  hget(key, field, transaction) {
+    return this._master.hget(this._convertKey(key), field, transaction);
+  }
+
+  /**
+   * @desc gets values of multiple hash fields
+   * @param {string} key - key of hash
+   * @param {Array.<string>} fields - names of fields
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - map of fields to {value, found} objects
+   */
+  hmget(key, fields, transaction) {
+    return this._master.hmget(this._convertKey(key), fields, transaction);
+  }
+
+  /**
+   * @desc gets all fields of a hash
+   * @param {string} key - key of hash
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to object mapping fields to values
+   */
+  hgetall(key, transaction) {
+    return this._master.hgetall(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc removes fields of a hash
+   * @param {string} key - key of hash
+   * @param {string|Array.<string>} fields - name or names of fields
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of removed fields
+   */
+  hdel(key, fields, transaction) {
+    return this._master.hdel(this._convertKey(key), fields, transaction);
+  }
+
+  /**
+   * @desc atomically adds a number to value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {number} delta - number to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value of field
+   */
+  hincrby(key, field, delta, transaction) {
+    return this._master.hincrby(
+      this._convertKey(key), field, delta, transaction);
+  }
+
+  /**
+   * @desc adds a member to a sorted set or updates its score
+   * @param {string} key - key of sorted set
+   * @param {number} score - score of member
+   * @param {string} member - member to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - resolves to true if member was added
+   */
+  zadd(key, score, member, transaction) {
+    return this._master.zadd(
+      this._convertKey(key), score, member, transaction);
+  }
+
+  /**
+   * @desc atomically adds a number to score of a member
+   * @param {string} key - key of sorted set
+   * @param {number} delta - number to add to score
+   * @param {string} member - target member
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new score of member
+   */
+  zincrby(key, delta, member, transaction) {
+    return this._master.zincrby(
+      this._convertKey(key), delta, member, transaction);
+  }
+
+  /**
+   * @desc gets members of a sorted set between two ranks
+   * @param {string} key - key of sorted set
+   * @param {number=} start - optional rank of first member
+   * @param {number=} stop - optional rank of last member
+   * @param {*=} options - optional withScores and reverse
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to members
+   */
+  zrange(key, start, stop, options, transaction) {
+    return this._master.zrange(
+      this._convertKey(key), start, stop, options, transaction);
+  }
+
+  /**
+   * @desc gets members of a sorted set with scores between min and max
+   * @param {string} key - key of sorted set
+   * @param {number|null} min - minimum score or null for no lower bound
+   * @param {number|null} max - maximum score or null for no upper bound
+   * @param {*=} options - optional withScores, offset and limit
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to members
+   */
+  zrangeByScore(key, min, max, options, transaction) {
+    return this._master.zrangeByScore(
+      this._convertKey(key), min, max, options, transaction);
+  }
+
+  /**
+   * @desc gets rank of a member in ascending order of scores
+   * @param {string} key - key of sorted set
+   * @param {string} member - target member
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number|null>} - resolves to rank or null
+   */
+  zrank(key, member, transaction) {
+    return this._master.zrank(this._convertKey(key), member, transaction);
+  }
+
+  /**
+   * @desc removes members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {string|Array.<string>} members - member or members to remove
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of removed members
+   */
+  zrem(key, members, transaction) {
+    return this._master.zrem(this._convertKey(key), members, transaction);
+  }
+
+  /**
+   * @desc gets number of members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of members
+   */
+  zcard(key, transaction) {
+    return this._master.zcard(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc gets values stored at multiple keys in a single query
+   * @param {Array.<string>} keys - object keys
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - map of keys to {value, found} objects
+   */
+  mget(keys, transaction) {
+    return this._master.mget(keys.map(key => this._convertKey(key)),
+      transaction).then(result => Promise.resolve(keys.reduce((map, key) => {
+        map[key] = result[this._convertKey(key)];
+        return map;
+      }, {})));
+  }
+
+  /**
+   * @desc adds or overwrites multiple values at once
+   * @param {*} entries - plain object, Map or array of [key, value] pairs
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when values are written
+   */
+  mput(entries, transaction) {
+    return this._master.mput(toEntries(entries).map(entry =>
+      [this._convertKey(entry[0]), entry[1]]), transaction);
+  }
+
+  /**
+   * @desc deletes multiple keys at once
+   * @param {Array.<string>} keys - object keys
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of deleted keys
+   */
+  mdelete(keys, transaction) {
+    return this._master.mdelete(
+      keys.map(key => this._convertKey(key)), transaction);
+  }
+
+  /**
+   * @desc sets expiration time on key in seconds
+   * @param {string} key - object key
+   * @param {number} time - time in seconds
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when value was added
+   */
+  expire(key, time, transaction) {
+    return this._master.expire(this._convertKey(key), time, transaction);
+  }
+
+  /**
+   * @desc sets expiration time on key to an absolute date
+   * @param {string} key - object key
+   * @param {Date|number} date - date or timestamp at which key expires
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is set
+   */
+  expireAt(key, date, transaction) {
+    return this._master.expireAt(this._convertKey(key), date, transaction);
+  }
+
+  /**
+   * @desc removes expiration of key
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is removed
+   */
+  persist(key, transaction) {
+    return this._master.persist(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc gets remaining lifetime of key in seconds
+   * @param {string} key - object key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number|null>} - remaining seconds or null if key does
+   * not expire
+   */
+  ttl(key, transaction) {
+    return this._master.ttl(this._convertKey(key), transaction);
+  }
+
+  /**
+   * @desc acquires a lock under prefix
+   * @param {string} name - name of lock
+   * @param {*=} options - optional ttl and owner of lock
+   * @return {Promise.<*>} - resolves to lock or null if lock is held
+   */
+  acquireLock(name, options) {
+    return this._master.acquireLock(this._convertKey(name), options)
+      .then(lock => this._convertLock(name, lock));
+  }
+
+  /**
+   * @desc extends lease of a lock under prefix
+   * @param {string} name - name of lock
+   * @param {*} options - owner and optional ttl of lock
+   * @return {Promise.<*>} - resolves to renewed lock or null if lock is no
+   * longer held by owner
+   */
+  renewLock(name, options) {
+    return this._master.renewLock(this._convertKey(name), options)
+      .then(lock => this._convertLock(name, lock));
+  }
+
+  /**
+   * @desc releases a lock under prefix
+   * @param {string} name - name of lock
+   * @param {*} options - owner of lock
+   * @return {Promise.<boolean>} - resolves to true if lock was released
+   */
+  releaseLock(name, options) {
+    return this._master.releaseLock(this._convertKey(name), options);
+  }
+
+  /**
+   * @desc runs a function while holding a lock under prefix
+   * @param {string} name - name of lock
+   * @param {function} fn - function receiving lock
+   * @param {*=} options - optional ttl and owner of lock
+   * @return {Promise.<*>} - resolves to result of function
+   */
+  withLock(name, fn, options) {
+    return this._master.withLock(this._convertKey(name),
+      lock => fn(this._convertLock(name, lock)), options);
+  }
+
+  /**
+   * @desc replaces prefixed name of a lock returned by master
+   * @param {string} name - name of lock without prefix
+   * @param {*} lock - lock returned by master or null
+   * @return {*} - converted lock or null
+   * @private
+   */
+  _convertLock(name, lock) {
+    return lock === null ? null : Object.assign({}, lock, {
+      name: name
+    });
+  }
+
+  /**
+   * @desc creates a rate limiter storing its counters under prefix
+   * @param {*} options - limit, window, optional mode and prefix of ids
+   * @return {RateLimiter} - rate limiter providing consume
+   */
+  rateLimiter(options) {
+    return this._master.rateLimiter(Object.assign({}, options, {
+      prefix: this._convertKey((options || {}).prefix || '')
+    }));
+  }
+
+  /**
+   * @desc collects garbage and removes expired items under prefix
+   * @param {*=} options - optional batchSize, maxDuration, maxKeys and
+   * pattern matched against keys under prefix. a transaction is accepted
+   * instead.
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed, keys, batches and
+   * durationMs
+   */
+  gc(options, transaction) {
+    const args = gcArguments(this._master._sequelize, options, transaction);
+
+    if (!type.isUndefined(args.error)) {
+      return Promise.reject(args.error);
+    }
+
+    return this._master.gc(Object.assign(args.options, {
+      pattern: this._convertPattern(args.options.pattern)
+    }), args.transaction);
+  }
+
+  /**
+   * @desc start automatic garbage collection service of keys under prefix
+   * based on cron-tab scheduling specification or an interval. service is
+   * separate from those of master and other prefixes and stops once this
+   * instance is garbage collected.
+   * @param {(string|number)=} schedule - CRON-tab schedule or interval in
+   * seconds
+   * @param {*=} options - optional leader, either true or name of lock
+   * under prefix, to run gc only in elected leader along with batchSize,
+   * maxDuration and pattern under prefix passed to gc
+   */
+  monitor(schedule, options) {
+    if (!this._master._noExpires) {
+      const previous = this._task;
+
+      this._task = new Monitor(this, schedule, options);
+
+      if (!type.isOptional(previous)) {
+        previous.stop().catch(() => undefined);
+      }
+    }
+  }
+
+  /**
+   * @desc stop automatic garbage collection service of prefix
+   * @return {Promise} - resolves once service is stopped
+   */
+  stopMonitor() {
+    const monitor = this._task;
+
+    this._task = null;
+
+    return type.isOptional(monitor) ? Promise.resolve() : monitor.stop();
+  }
+
+  /**
+   * @desc stops garbage collection service of prefix. cache of master is
+   * shared by other prefixes, so it is left as is.
+   * @return {Promise} - resolves once instance is closed
+   */
+  close() {
+    return this.stopMonitor();
+  }
+
+  /**
+   * @desc clear everything under prefix
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolve when items under prefix are removed
+   */
+  clear(transaction) {
+    return this._master.deletePattern(this._convertPattern(null), transaction);
+  }
+
+  /**
+   * @desc deletes all keys matching a wildcard pattern
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of deleted records
+   */
+  deletePattern(pattern, transaction) {
+    return this._master.deletePattern(
+      this._convertPattern(pattern), transaction);
+  }
+
+  /**
+   * @desc registers a validator for values of keys under prefix
+   * @param {string} pattern - wildcard pattern of keys
+   * @param {function|*} validator - validator function or JSON Schema
+   */
+  addValidator(pattern, validator) {
+    this._master.addValidator(this._convertPattern(pattern), validator);
+  }
+
+  /**
+   * @desc removes validator registered for a pattern under prefix
+   * @param {string} pattern - wildcard pattern of keys
+   * @return {boolean} - true if a validator was removed
+   */
+  removeValidator(pattern) {
+    return this._master.removeValidator(this._convertPattern(pattern));
+  }
+
+  /**
+   * @desc re-encrypts records under prefix using current encryption key
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {number=} batchSize - optional number of rows per batch
+   * @return {Promise.<number>} - number of re-encrypted records
+   */
+  rotateKeys(pattern, batchSize) {
+    return this._master.rotateKeys(this._convertPattern(pattern), batchSize);
+  }
+
+  /**
+   * @desc count number of records using a pattern
+   * @param {string=} pattern - optional pattern to keys
+   * @param {*=} where - optional additional where clause
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of records
+   */
+  count(pattern, where, transaction) {
+    return this._master.count(
+      this._convertPattern(pattern), where, transaction);
+  }
+
+  /**
+   * @desc lists records found in database using a pattern
+   * @param {number=} start - optional start of lookup
+   * @param {length=} length - optional length of data
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {*=} where - optional additions to where clause
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - filtered records
+   */
+  all(start, length, pattern, where, transaction) {
+    return this._master.all(
+      start, length, this._convertPattern(pattern), where, transaction)
+      .then(arr => Promise.resolve(arr.map(
+        record => this._convertRecord(record))));
+  }
+
+  /**
+   * @desc strips prefix from key of a record returned by master
+   * @param {*} record - record found in database
+   * @return {*} - record with prefix removed from key
+   * @private
+   */
+  _convertRecord(record) {
+    const key = record.key.substr(this._prefix.length);
+    const prototype = Object.create(Object.getPrototypeOf(record));
+
+    Object.defineProperty(prototype, 'key', {
+      get: () => key
+    });
+    Object.setPrototypeOf(record, prototype);
+
+    return record;
+  }
+
+  /**
+   * @desc lists a page of records ordered by key using an opaque cursor
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {*=} options - optional cursor and count of records to fetch
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - object containing records and next cursor
+   */
+  scan(pattern, options, transaction) {
+    return this._master.scan(
+      this._convertPattern(pattern), options, transaction)
+      .then(result => Promise.resolve({
+        cursor: result.cursor,
+        records: result.records.map(record => this._convertRecord(record))
+      }));
+  }
+
+  /**
+   * @desc lists a page of records under prefix, optionally along with
+   * records of elements of lists, hashes and sorted sets
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {*=} options - optional cursor and count of records to fetch
+   * @param {boolean} elements - whether to include records of elements
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - object containing records and next cursor
+   * @private
+   */
+  _scan(pattern, options, elements, transaction) {
+    return this._master._scan(
+      this._convertPattern(pattern), options, elements, transaction)
+      .then(result => Promise.resolve({
+        cursor: result.cursor,
+        records: result.records.map(record => this._convertRecord(record))
+      }));
+  }
+
+  /**
+   * @desc creates an index on value at a path inside stored values
+   * @param {string} valuePath - dot separated path inside stored values
+   * @param {string=} name - optional name of index
+   * @return {Promise} - resolves when index is created
+   */
+  createValueIndex(valuePath, name) {
+    return this._master.createValueIndex(valuePath, name);
+  }
+
+  /**
+   * @desc walks over all records matching a pattern
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {number=} count - optional number of records fetched per query
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {*} - async iterable of records
+   */
+  entries(pattern, count, transaction) {
+    return scanIterable(this, pattern, count, transaction);
+  }
+
+  /**
+   * @desc writes records under prefix to a stream as lines of JSON. keys
+   * are written without prefix.
+   * @param {stream.Writable} stream - target stream
+   * @param {*=} options - optional wildcard pattern and count per query
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of exported records
+   */
+  export(stream, options, transaction) {
+    return exportRecords(
+      this, this._master.schema, stream, options, transaction);
+  }
+
+  /**
+   * @desc reads records written by export from a stream into prefix
+   * @param {stream.Readable} stream - source stream
+   * @param {*=} options - optional mode and batchSize
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to number of imported and skipped
+   * records
+   */
+  import(stream, options, transaction) {
+    return this._master._import(stream, options, this._prefix, transaction);
+  }
+
+  /**
+   * @desc add additional prefix to key lookup
+   * @param {string} newPrefix - new prefix to use
+   * @return {SequelizeDbMetaInstance} - new storage with additional prefix
+   */
+  prefix(newPrefix) {
+    return new _SequelizeDbMetaPrefixInstance(
+      this._master, this._convertKey(newPrefix));
+  }
+}
+
+/**
+ * @desc Provides a usable extensible mechanism to store some metadata
+ * in form of key-value pairs in a relational database
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class SequelizeDbMetaInstance extends EventEmitter {
+  /**
+   * @desc initialize model definitions in database
+   * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+   * @param {string=} name - name of meta table
+   * @param {*=} definitions - extra definitions to use
+   * @param {*=} options - optional optional to pass. besides sequelize
+   * options it accepts expires, version, score, which adds indexed score
+   * column used by sorted sets, cache, serializer, an object
+   * with encode and decode functions converting values to and from text,
+   * compression, true or an object containing threshold and algorithm, and
+   * encryption, an object containing keys mapping key ids to 32 byte AES
+   * keys and current, id of key used to encrypt written values
+   */
+  constructor(sequelize, name, definitions, options) {
+    super();
+
+    if (type.isOptional(name)) {
+      name = '__metadb';
+    }
+
+    options = Object.assign({
+      timestamps: false
+    }, options);
+
+    this._noExpires = options.expires === false;
+    delete options.expires;
+
+    this._versions = options.version === true;
+    delete options.version;
+
+    this._scores = options.score === true;
+    delete options.score;
+
+    this._cache = type.isOptional(options.cache) || options.cache === false ?
+      null : new LruCache(options.cache === true ? null : options.cache);
+    delete options.cache;
+
+    let serializer = options.serializer || serializers.json;
+    delete options.serializer;
+
+    // atomic increments rewrite {"value":<number>} text inside database,
+    // small numbers are never compressed but are always encrypted
+    this._numeric = type.isOptional(options.encryption) &&
+      serializer.encode(-12.5) === '{"value":-12.5}' &&
+      serializer.decode('{"value":-12.5}') === -12.5;
+
+    this._compression = type.isOptional(options.compression) ||
+      options.compression === false ? null : compressed(serializer,
+        options.compression === true ? null : options.compression);
+    delete options.compression;
+
+    if (!type.isOptional(this._compression)) {
+      serializer = this._compression;
+    }
+
+    // compress before encrypting since encrypted text does not compress
+    if (!type.isOptional(options.encryption)) {
+      serializer = encrypted(serializer, options.encryption);
+    }
+    delete options.encryption;
+
+    this._serializer = serializer;
+    this._validators = new Map();
+
+    // tables created before schema version 5 have indexes named without
+    // name of table, which migrate replaces, while sync adds these next to
+    // them
+    if (!this._noExpires) {
+      options.indexes = (options.indexes || []).concat([{
+        name: `${name}_expires_index`,
+        method: 'btree',
+        fields: [{
+          attribute: 'expires',
+          order: 'desc'
+        }]
+      }]);
+    }
+
+    if (this._scores) {
+      options.indexes = (options.indexes || []).concat([{
+        name: `${name}_score_index`,
+        method: 'btree',
+        fields: ['score']
+      }]);
+    }
+
+    this._table = sequelize.define(name, Object.assign({
+      key: {
+        type: sequelize.Sequelize.TEXT,
+        primaryKey: true
+      },
+      value: {
+        type: sequelize.Sequelize.TEXT,
+        allowNull: false,
+        get: function parseValue() {
+          const value = this.getDataValue('value');
+
+          if (type.isUndefined(value)) {
+            return undefined;
+          }
+
+          return serializer.decode(value, this.getDataValue('key'));
+        },
+        // key has to be set before value, since encryption binds value to
+        // key
+        set: function setValue(value) {
+          this.setDataValue(
+            'value', serializer.encode(value, this.getDataValue('key')));
+        }
+      }
+    }, this._noExpires ? {} : {
+      expires: {
+        type: sequelize.Sequelize.DATE,
+        allowNull: true
+      }
+    }, this._versions ? {
+      version: {
+        type: sequelize.Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 1
+      }
+    } : {}, this._scores ? {
+      score: {
+        type: sequelize.Sequelize.DOUBLE,
+        allowNull: true
+      }
+    } : {}, definitions), options);
+
+    this._sequelize = sequelize;
+    this._op = operators(sequelize);
+    this._task = null;
+    this._tableName = name;
+    this._schema = null;
+  }
+
+  /**
+   * @desc {Model} - return sequelize schema Model object
+   */
+  get schema() {
+    return this._table;
+  }
+
+  /**
+   * @return {string} - table name used for operations
+   */
+  get tableName() {
+    return this._tableName;
+  }
+
+  /**
+   * @desc creates meta table or brings an existing one up to date by adding
+   * missing columns and indexes, including those of extra definitions.
+   * applied schema version is recorded in a reserved record of table.
+   * @return {Promise.<*>} - resolves to object containing from, previously
+   * recorded schema version or 0, to, current schema version, created,
+   * whether table was created, and applied, versions of migrations which
+   * changed table
+   */
+  migrate() {
+    const self = this;
+    const queryInterface = this._sequelize.getQueryInterface();
+    const tableName = this._table.getTableName();
+    const attributes = this._table.rawAttributes;
+
+    return task.spawn(function * task() {
+      let layout = yield queryInterface.describeTable(tableName)
+        .catch(() => null);
+      const created = type.isOptional(layout);
+
+      if (created) {
+        yield self._table.sync();
+        layout = yield queryInterface.describeTable(tableName);
+      }
+
+      // columns of model may not exist yet
+      const record = yield self._table.findOne({
+        where: {
+          key: SCHEMA_KEY
+        },
+        attributes: ['key', 'value']
+      });
+      const from = type.isOptional(record) ? 0 : record.value;
+
+      if (from > SCHEMA_VERSION) {
+        throw new Error(`schema version ${from} is newer than ` +
+          `supported version ${SCHEMA_VERSION}`);
+      }
+
+      const existing = new Set((yield queryInterface.showIndex(tableName))
+        .map(index => index.name));
+      const unprefixed = index =>
+        index.name.substr(self._tableName.length + 1);
+      // until version 5 drops them, indexes named without table name by
+      // earlier versions stand in for their renamed counterparts
+      const present = index => existing.has(index.name) ||
+        (MIGRATIONS.some(migration => migration.indexes.indexOf(
+          unprefixed(index)) >= 0) && existing.has(unprefixed(index)));
+      // Sequelize 5 and later name indexes of models when they are defined
+      const indexes = type.isUndefined(queryInterface.nameIndexes) ?
+        self._table._indexes : queryInterface.nameIndexes(
+          self._table.options.indexes, self._table.tableName);
+      const applied = [];
+
+      const addColumn = column => {
+        layout[column] = attributes[column];
+        return queryInterface.addColumn(
+          tableName, column, attributes[column]);
+      };
+      const addIndex = index => {
+        existing.add(index.name);
+        return queryInterface.addIndex(tableName, index);
+      };
+      const removeIndex = name => {
+        existing.delete(name);
+        return queryInterface.removeIndex(tableName, name);
+      };
+
+      for (const migration of MIGRATIONS) {
+        const columns = migration.columns.filter(
+          column => column in attributes && !(column in layout));
+        // indexes are only dropped if instance creates them again
+        const dropped = migration.drops.filter(name => existing.has(name) &&
+          indexes.some(index => unprefixed(index) === name));
+
+        for (const column of columns) {
+          yield addColumn(column);
+        }
+
+        for (const name of dropped) {
+          yield removeIndex(name);
+        }
+
+        const missing = indexes.filter(index =>
+          migration.indexes.indexOf(unprefixed(index)) >= 0 &&
+          !present(index));
+
+        for (const index of missing) {
+          yield addIndex(index);
+        }
+
+        if (columns.length > 0 || dropped.length > 0 || missing.length > 0) {
+          applied.push(migration.version);
+        }
+      }
+
+      // columns and indexes of extra definitions do not belong to any
+      // version of schema
+      for (const column of Object.keys(attributes)) {
+        if (!(column in layout)) {
+          yield addColumn(column);
+        }
+      }
+
+      for (const index of indexes) {
+        if (!present(index)) {
+          yield addIndex(index);
+        }
+      }
+
+      if (from !== SCHEMA_VERSION) {
+        yield self._table.upsert({
+          key: SCHEMA_KEY,
+          value: SCHEMA_VERSION
+        });
+      }
+
+      return {
+        from: from,
+        to: SCHEMA_VERSION,
+        created: created,
+        applied: applied
+      };
+    });
+  }
+
+  /**
+   * @desc migrates meta table once per instance, later calls resolve to
+   * result of first one unless it failed
+   * @return {Promise.<number>} - resolves to current schema version
+   */
+  ensureSchema() {
+    if (type.isOptional(this._schema)) {
+      this._schema = this.migrate().then(result => result.to, err => {
+        this._schema = null;
+        return Promise.reject(err);
+      });
+    }
+
+    return this._schema;
+  }
+
+  /**
+   * @desc drops cached values of keys right away and once more after
+   * transaction is committed
+   * @param {Array.<string>|null} keys - keys to drop or null to drop all
+   * @param {*=} transaction - optional sequelize transaction object
+   * @private
+   */
+  _invalidate(keys, transaction) {
+    if (type.isOptional(this._cache)) {
+      return;
+    }
+
+    const invalidate = () => {
+      if (type.isOptional(keys)) {
+        this._cache.clear();
+      } else {
+        for (const key of keys) {
+          this._cache.delete(key);
+        }
+      }
+    };
+
+    invalidate();
+
+    if (!type.isOptional(transaction)) {
+      afterCommit(transaction, invalidate);
+    }
+  }
+
+  /**
+   * @desc hit and miss statistics of cache
+   * @return {*} - object containing hits, misses and size of cache or null
+   * if cache is not enabled
+   */
+  get cacheStats() {
+    return type.isOptional(this._cache) ? null : this._cache.stats;
+  }
+
+  /**
+   * @desc statistics of values written with compression
+   * @return {*} - object containing number of compressed and uncompressed
+   * values and bytes saved or null if compression is not enabled
+   */
+  get compressionStats() {
+    return type.isOptional(this._compression) ? null :
+      this._compression.stats;
+  }
+
+  /**
+   * @desc registers a validator for values written to keys matching a
+   * pattern. put, assign, compareAndSet and mput reject values failing any
+   * matching validator with ValidationError. registering another validator
+   * with same pattern replaces previous one.
+   * @param {string} pattern - wildcard pattern of keys
+   * @param {function|*} validator - either a function receiving value and
+   * key and returning true if value is valid, false or a message otherwise,
+   * or a JSON Schema object
+   */
+  addValidator(pattern, validator) {
+    let check = validator;
+
+    if (typeof validator !== 'function') {
+      const validate = ajv.compile(validator);
+
+      check = value => validate(value) || ajv.errorsText(validate.errors, {
+        dataVar: 'value'
+      });
+    }
+
+    this._validators.set(pattern, {
+      regexp: patternRegExp(pattern),
+      check: check
+    });
+  }
+
+  /**
+   * @desc removes validator registered for a pattern
+   * @param {string} pattern - wildcard pattern given to addValidator
+   * @return {boolean} - true if a validator was removed
+   */
+  removeValidator(pattern) {
+    return this._validators.delete(pattern);
+  }
+
+  /**
+   * @desc checks a value against validators of matching patterns
+   * @param {string} key - key value is written to
+   * @param {*} value - value to check
+   * @return {ValidationError|null} - error of first failing validator or
+   * null if value is valid. a validator throwing counts as failing.
+   * @private
+   */
+  _validate(key, value) {
+    for (const entry of this._validators) {
+      if (entry[1].regexp.test(key)) {
+        let result;
+
+        try {
+          result = entry[1].check(value, key);
+        } catch (err) {
+          result = type.isString(err && err.message) && err.message !== '' ?
+            err.message : 'validator failed';
+        }
+
+        if (result !== true) {
+          return new errors.ValidationError(key, entry[0],
+            type.isString(result) ? result : 'rejected by validator');
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @desc emits a change event once transaction is committed
+   * @param {*=} transaction - optional sequelize transaction object
+   * @param {string} event - name of event
+   * @param {*} payload - event payload
+   * @private
+   */
+  _emitChange(transaction, event, payload) {
+    afterCommit(transaction, () => this.emit(event, payload));
+  }
+
+  /**
+   * @desc shows whether anybody listens to an event so old values should be
+   * looked up before changing them
+   * @param {string} event - name of event
+   * @return {boolean} - true if event has listeners
+   * @private
+   */
+  _observed(event) {
+    return this.listenerCount(event) > 0;
+  }
+
+  /**
+   * @desc runs a function inside provided transaction or inside a new
+   * transaction if none is provided
+   * @param {*=} transaction - optional sequelize transaction object
+   * @param {function(*): Promise.<*>} fn - function receiving transaction
+   * @return {Promise.<*>} - resolves to result of function
+   * @private
+   */
+  _transaction(transaction, fn) {
+    if (!type.isOptional(transaction)) {
+      return fn(transaction);
+    }
+
+    return this._sequelize.transaction(t => fn(t));
+  }
+
+  /**
+   * @desc internal function to query a single key from database
+   * @param {string} key - the key to requested value
+   * @param {*=} transaction - optional reference to transaction object
+   * @return {Promise.<*>} - value stored at key
+   * @private
+   */
+  _get(key, transaction) {
+    const op = this._op;
+    const self = this;
+
+    // reads inside transactions may see uncommitted values, so they
+    // neither use nor populate cache
+    const bypass = type.isOptional(this._cache) ||
+      !type.isOptional(transaction);
+
+    return task.spawn(function * task() {
+      if (!bypass) {
+        const entry = self._cache.get(key);
+
+        if (!type.isUndefined(entry)) {
+          return {
+            value: self._serializer.decode(entry.text, key),
+            version: entry.version,
+            found: true
+          };
+        }
+      }
+
+      const generation = bypass ? null : self._cache.generation;
+      let res = yield self._table.findOne(Object.assign({
+        where: Object.assign({
+          key: key
+        }, self._noExpires ? {} : {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        }),
+        attributes: {
+          exclude: ['key']
+        }
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      if (res === null) {
+        return {
+          value: null,
+          version: null,
+          found: false
+        };
+      }
+
+      const version = self._versions ? res.version : null;
+
+      if (!bypass) {
+        self._cache.set(key, {
+          text: res.getDataValue('value'),
+          version: version
+        }, self._noExpires ? null : res.expires, generation);
+      }
+
+      return {
+        // key is not fetched, so value is decoded here
+        value: self._serializer.decode(res.getDataValue('value'), key),
+        version: version,
+        found: true
+      };
+    });
+  }
+
+  /**
+   * @desc get value stored at key or a default value
+   * @param {string} key - key to requested vaue
+   * @param {*} value - default value to use if key is not found
+   * @param {*=} transaction - optional sequelize transaction objet
+   * @return {Promise.<*>} - returns value stored at key or a default value
+   */
+  getOrDefault(key, value, transaction) {
+    return this._get(key, transaction).then(v => {
+      if (!v.found) {
+        return Promise.resolve(value);
+      }
+
+      return Promise.resolve(v.value);
+    });
+  }
+
+  /**
+   * @desc gets value stored at key or null value
+   * @param {string} key - key to requested value
+   * @param {*=} transaction - optional transaction object
+   * @return {Promise.<*|null>} - value stored at requested key
+   */
+  getOrNull(key, transaction) {
+    return this.getOrDefault(key, null, transaction);
+  }
+
+  /**
+   * @desc gets value stored at key or rejects with an error
+   * @param {string} key - key to requested value
+   * @param {*=} transaction - optional transaction object
+   * @return {Promise.<*>} - value stored at requested key
+   */
+  get(key, transaction) {
+    return this._get(key, transaction).then(v => {
+      if (!v.found) {
+        return Promise.reject(new Error(`key not found: ${key}`));
+      }
+
+      return Promise.resolve(v.value);
+    });
+  }
+
+  /**
+   * @desc finds whether metadb contains requested key, either as a value or
+   * as a list, a hash or a sorted set with elements
+   * @param {string} key - key to resource
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - whether key is present
+   */
+  has(key, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return this._get(key, transaction).then(v => {
+      if (v.found) {
+        return Promise.resolve(true);
+      }
+
+      return self._table.findOne(Object.assign({
+        where: Object.assign({
+          [op.and]: [startsWith(self._sequelize, `${key}${ELEMENT_SEPARATOR}`)]
+        }, self._noExpires ? {} : {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        }),
+        attributes: ['key']
+      }, type.isOptional(transaction) ? null : {transaction: transaction}))
+        .then(record => !type.isOptional(record));
+    });
+  }
+
+  /**
+   * @desc removes item from storage. returns true if item was found
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - true if item existed
+   */
+  delete(key, transaction) {
+    const op = this._op;
+    const where = Object.assign(keyWhere(this._sequelize, key),
+      this._noExpires ? {} : {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      });
+
+    return this._destroy(where, [key], transaction)
+      .then(num => Promise.resolve(num > 0));
+  }
+
+  /**
+   * @desc removes records matching a where clause. unexpired records are
+   * looked up beforehand if somebody listens to delete event.
+   * @param {*} where - where clause of records to remove
+   * @param {Array.<string>|null} keys - keys to drop from cache or null if
+   * removed keys are not known beforehand
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of removed records
+   * @private
+   */
+  _destroy(where, keys, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return task.spawn(function * task() {
+      const records = self._observed('delete') ?
+        yield self._table.findAll(Object.assign({
+          where: Object.assign({}, where, self._noExpires ? {} : {
+            expires: {
+              [op.or]: {
+                [op.eq]: null,
+                [op.gt]: new Date()
+              }
+            }
+          }),
+          attributes: ['key', 'value']
+        }, type.isOptional(transaction) ? null : {transaction: transaction})) :
+        [];
+
+      const num = yield self._table.destroy(Object.assign({
+        where: where
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      self._invalidate(keys, transaction);
+
+      for (const record of records) {
+        self._emitChange(transaction, 'delete', {
+          key: record.key,
+          oldValue: record.value
+        });
+      }
+
+      return num;
+    });
+  }
+
+  /**
+   * @desc converts additional data of write operations into column values.
+   * ttl (in seconds), expiresAt and keepTtl options found in data are
+   * converted into expires column unless they are columns of meta table.
+   * expires column is reset to null if none of them are given.
+   * @param {*=} data - additional optional data to write
+   * @return {*} - column values to write
+   * @private
+   */
+  _writeData(data) {
+    const values = Object.assign(this._noExpires ? {} : {
+      expires: null
+    }, data);
+    const options = {};
+
+    for (const name of ['ttl', 'expiresAt', 'keepTtl']) {
+      if (name in values && !(name in this._table.rawAttributes)) {
+        options[name] = values[name];
+        delete values[name];
+      }
+    }
+
+    if (this._noExpires) {
+      return values;
+    }
+
+    if (!type.isOptional(options.ttl)) {
+      values.expires = new Date(Date.now() + options.ttl * 1000);
+    } else if (!type.isOptional(options.expiresAt)) {
+      values.expires = new Date(options.expiresAt);
+    } else if (options.keepTtl === true) {
+      delete values.expires;
+    }
+
+    return values;
+  }
+
+  /**
+   * @desc removes key if it is expired
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expired key is removed
+   * @private
+   */
+  _destroyExpired(key, transaction) {
+    const op = this._op;
+
+    if (this._noExpires) {
+      return Promise.resolve();
+    }
+
+    return this._table.destroy(Object.assign({
+      where: {
+        key: key,
+        expires: {
+          [op.lte]: new Date()
+        }
+      }
+    }, type.isOptional(transaction) ? null : {
+      transaction: transaction
+    }));
+  }
+
+  /**
+   * @desc sets value at target key. expiration of key is cleared unless
+   * ttl, expiresAt or keepTtl is given in data.
+   * @param {string} key - key to requested value
+   * @param {*} value - any javascript object to store
+   * @param {*=} data - additional optional data to write, may also contain
+   * ttl in seconds, expiresAt date or keepTtl to keep existing expiration
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolve when value is created
+   */
+  put(key, value, data, transaction) {
+    const invalid = this._validate(key, value);
+
+    if (!type.isOptional(invalid)) {
+      return Promise.reject(invalid);
+    }
+
+    const self = this;
+    const values = this._writeData(data);
+
+    return task.spawn(function * task() {
+      const current = self._observed('set') ?
+        yield self._get(key, transaction) : null;
+      let result;
+
+      if (!self._noExpires && !('expires' in values)) {
+        // keeping expiration of an expired key would expire new value
+        yield self._destroyExpired(key, transaction);
+      }
+
+      if (self._versions) {
+        result = yield self._versionedPut(key, Object.assign({
+          value: self._serializer.encode(value, key)
+        }, values), transaction);
+      } else {
+        result = yield self._table.upsert(Object.assign({
+          key: key,
+          value: value
+        }, values), type.isOptional(transaction) ? null : {
+          transaction: transaction
+        });
+      }
+
+      self._invalidate([key], transaction);
+
+      if (current !== null) {
+        self._emitChange(transaction, 'set', {
+          key: key,
+          oldValue: current.value,
+          value: value
+        });
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * @desc sets value at target key and bumps version of record
+   * @param {string} key - key to requested value
+   * @param {*} values - encoded column values to write
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new version of record
+   * @private
+   */
+  _versionedPut(key, values, transaction) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      for (;;) {
+        const current = yield self._table.findOne(Object.assign({
+          where: {
+            key: key
+          },
+          attributes: ['version']
+        }, type.isOptional(transaction) ? null : {transaction: transaction}));
+        const version = current === null ? null : current.version;
+
+        if (yield self._swap(key, version, values, false, transaction)) {
+          return version === null ? 1 : version + 1;
+        }
+      }
+    });
+  }
+
+  /**
+   * @desc writes encoded values at key only if record is still at expected
+   * version. version of record is bumped on success.
+   * @param {string} key - key to requested value
+   * @param {number|null} version - expected version of record or null if
+   * record is expected to be missing
+   * @param {*} values - encoded column values to write
+   * @param {boolean} live - whether record is also required to be unexpired
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - true if values were written
+   * @private
+   */
+  _swap(key, version, values, live, transaction) {
+    const op = this._op;
+
+    if (type.isOptional(version)) {
+      const create = t => this._table.create(Object.assign({
+        key: key,
+        version: 1
+      }, values), {
+        raw: true,
+        transaction: t
+      });
+
+      return (type.isOptional(transaction) ? create(null) :
+        this._sequelize.transaction({transaction: transaction}, create))
+        .then(() => true)
+        .catch(err => {
+          if (err instanceof this._sequelize.Sequelize.UniqueConstraintError) {
+            return false;
+          }
+
+          throw err;
+        });
+    }
+
+    return this._table.update(Object.assign({}, values, {
+      version: version + 1
+    }), Object.assign({
+      where: Object.assign({
+        key: key,
+        version: version
+      }, !live || this._noExpires ? {} : {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      }),
+      validate: false
+    }, type.isOptional(transaction) ? null : {
+      transaction: transaction
+    })).then(result => result[0] > 0);
+  }
+
+  /**
+   * @desc gets value stored at key along with version of record. requires
+   * meta table to be created with version option.
+   * @param {string} key - key to requested value
+   * @param {*=} transaction - optional transaction object
+   * @return {Promise.<*>} - object containing value and version stored at
+   * key, version is null if key does not exist
+   */
+  getWithVersion(key, transaction) {
+    if (!this._versions) {
+      return Promise.reject(new Error('versioning is not enabled'));
+    }
+
+    return this._get(key, transaction).then(v => Promise.resolve({
+      value: v.value,
+      version: v.version
+    }));
+  }
+
+  /**
+   * @desc sets value at target key only if record has not been modified
+   * since expected version. rejects with VersionConflictError otherwise.
+   * requires meta table to be created with version option.
+   * @param {string} key - key to requested value
+   * @param {number|null} expectedVersion - version read by getWithVersion
+   * or null if key is expected to be missing
+   * @param {*} value - any javascript object to store
+   * @param {*=} data - additional optional data to write
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new version of record
+   */
+  compareAndSet(key, expectedVersion, value, data, transaction) {
+    if (!this._versions) {
+      return Promise.reject(new Error('versioning is not enabled'));
+    }
+
+    const invalid = this._validate(key, value);
+
+    if (!type.isOptional(invalid)) {
+      return Promise.reject(invalid);
+    }
+
+    const self = this;
+    const values = Object.assign({
+      value: this._serializer.encode(value, key)
+    }, this._writeData(data));
+
+    return task.spawn(function * task() {
+      const current = self._observed('set') ?
+        yield self._get(key, transaction) : null;
+
+      if (type.isOptional(expectedVersion)) {
+        yield self._destroyExpired(key, transaction);
+      }
+
+      if (!(yield self._swap(key, expectedVersion, values, true,
+        transaction))) {
+        throw new errors.VersionConflictError(key, expectedVersion);
+      }
+
+      self._invalidate([key], transaction);
+
+      if (current !== null) {
+        self._emitChange(transaction, 'set', {
+          key: key,
+          oldValue: current.value,
+          value: value
+        });
+      }
+
+      return type.isOptional(expectedVersion) ? 1 : expectedVersion + 1;
+    });
+  }
+
+  /**
+   * @desc merge previous value of key into new value
+   * @param {string} key - key to requested value
+   * @param {*} value - any javascript object to store
+   * @param {*=} data - additional optional data to write
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolve when value is created
+   */
+  assign(key, value, data, transaction) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      if (type.isString(value) || type.isNumber(value) ||
+        type.isBoolean(value) || type.isOptional(value)) {
+        return yield self.put(key, value, data, transaction);
+      }
+
+      for (let attempt = 1; ; attempt++) {
+        const current = yield self._get(key, transaction);
+        let merged = value;
+
+        if (current.found && !type.isString(current.value) &&
+          !type.isNumber(current.value) && !type.isBoolean(current.value) &&
+          !type.isOptional(current.value)) {
+          merged = Object.assign(current.value, value);
+        }
+
+        if (!self._versions) {
+          return yield self.put(key, merged, data, transaction);
+        }
+
+        try {
+          return yield self.compareAndSet(
+            key, current.version, merged, data, transaction);
+        } catch (err) {
+          if (!(err instanceof errors.VersionConflictError) ||
+            attempt >= ASSIGN_RETRIES) {
+            throw err;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * @desc atomically adds a number to value stored at key. missing or
+   * expired keys are created with value of zero before addition.
+   * @param {string} key - key to requested value
+   * @param {number} delta - number to add to value
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value stored at key
+   */
+  incrBy(key, delta, transaction) {
+    const error = this._incrementError(delta);
+
+    if (!type.isOptional(error)) {
+      return Promise.reject(error);
+    }
+
+    const self = this;
+
+    return this._transaction(transaction, t => task.spawn(function * task() {
+      const result = yield self._increment(key, delta, t);
+
+      self._invalidate([key], t);
+      self._emitChange(t, 'set', {
+        key: key,
+        oldValue: result.oldValue,
+        value: result.value
+      });
+
+      return result.value;
+    }));
+  }
+
+  /**
+   * @desc checks whether an atomic increment is possible
+   * @param {*} delta - number to add
+   * @return {Error} - error describing why increment is not possible or null
+   * @private
+   */
+  _incrementError(delta) {
+    if (!type.isNumber(delta) || !isFinite(delta)) {
+      return new Error(`invalid increment: ${delta}`);
+    }
+
+    if (!this._numeric) {
+      return new Error('serializer does not support atomic increments');
+    }
+
+    return null;
+  }
+
+  /**
+   * @desc adds a number to value stored at key, creating missing or expired
+   * keys with value of zero, without emitting events
+   * @param {string} key - key of record
+   * @param {number} delta - number to add
+   * @param {*} transaction - sequelize transaction object
+   * @return {Promise.<*>} - resolves to oldValue, null if record was
+   * created, and value, new value of record
+   * @private
+   */
+  _increment(key, delta, transaction) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      yield self._destroyExpired(key, transaction);
+
+      const found = yield self._table.findOrCreate({
+        where: {
+          key: key
+        },
+        defaults: {
+          value: 0
+        },
+        transaction: transaction
+      });
+      const current = found[0];
+
+      if (!type.isNumber(current.value)) {
+        throw new Error(`value is not a number: ${key}`);
+      }
+
+      const version = self._sequelize.getQueryInterface()
+        .quoteIdentifier('version');
+
+      // a created record already starts at its first version
+      yield self._table.update(Object.assign({
+        value: expressions.incrementExpression(self._sequelize, delta)
+      }, self._versions && !found[1] ? {
+        version: self._sequelize.literal(`${version} + 1`)
+      } : {}), {
+        where: {
+          key: key
+        },
+        validate: false,
+        transaction: transaction
+      });
+
+      const value = (yield self._table.findOne({
+        where: {
+          key: key
+        },
+        attributes: ['value'],
+        transaction: transaction
+      })).value;
+
+      return {
+        oldValue: found[1] ? null : current.value,
+        value: value
+      };
+    });
+  }
+
+  /**
+   * @desc atomically increments value stored at key by one
+   * @param {string} key - key to requested value
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value stored at key
+   */
+  incr(key, transaction) {
+    return this.incrBy(key, 1, transaction);
+  }
+
+  /**
+   * @desc atomically decrements value stored at key by one
+   * @param {string} key - key to requested value
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value stored at key
+   */
+  decr(key, transaction) {
+    return this.incrBy(key, -1, transaction);
+  }
+
+  /**
+   * @desc runs a function inside a new transaction, or a savepoint of given
+   * transaction, retrying it if a concurrent modification is detected
+   * @param {*=} transaction - optional sequelize transaction object
+   * @param {function} fn - function receiving transaction and returning a
+   * promise
+   * @return {Promise.<*>} - resolves to result of function
+   * @private
+   */
+  _atomic(transaction, fn) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return yield self._sequelize.transaction(type.isOptional(
+            transaction) ? {} : {transaction: transaction}, fn);
+        } catch (err) {
+          if (attempt >= ASSIGN_RETRIES ||
+            !(err instanceof errors.VersionConflictError) &&
+            !(err instanceof self._sequelize.Sequelize.UniqueConstraintError)) {
+            throw err;
+          }
+        }
+      }
+    });
+  }
+
+  /**
+   * @desc removes expired elements of a list or hash
+   * @param {*} where - where clause matching elements
+   * @param {*} transaction - sequelize transaction object
+   * @return {Promise} - resolves when expired elements are removed
+   * @private
+   */
+  _destroyExpiredElements(where, transaction) {
+    const op = this._op;
+
+    if (this._noExpires) {
+      return Promise.resolve();
+    }
+
+    return this._table.destroy({
+      where: Object.assign({
+        expires: {
+          [op.lte]: new Date()
+        }
+      }, where),
+      transaction: transaction
+    });
+  }
+
+  /**
+   * @desc adds elements to either end of a list
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add
+   * @param {boolean} left - whether to add elements to head of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   * @private
+   */
+  _listPush(key, values, left, transaction) {
+    const self = this;
+
+    if (!Array.isArray(values)) {
+      values = [values];
+    }
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements({
+        key: listRange(self._sequelize, key)
+      }, t);
+
+      const edge = yield self._table.findOne({
+        where: {
+          key: listRange(self._sequelize, key)
+        },
+        order: [['key', left ? 'ASC' : 'DESC']],
+        transaction: t
+      });
+      let position = edge === null ? null : listPosition(edge.key);
+
+      yield self._table.bulkCreate(values.map(value => {
+        position = position === null ? 0 : position + (left ? -1 : 1);
+
+        return Object.assign({
+          key: listKey(key, position),
+          value: value
+        }, self._noExpires ? {} : {
+          // new elements share expiration of list
+          expires: edge === null ? null : edge.expires
+        });
+      }), {
+        transaction: t
+      });
+
+      return yield self._table.count({
+        where: {
+          key: listRange(self._sequelize, key)
+        },
+        transaction: t
+      });
+    }));
+  }
+
+  /**
+   * @desc adds elements to head of a list. like redis, elements of an array
+   * are added one by one so they end up in reverse order.
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add, an array
+   * element has to be wrapped in another array
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   */
+  lpush(key, values, transaction) {
+    return this._listPush(key, values, true, transaction);
+  }
+
+  /**
+   * @desc adds elements to tail of a list
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add, an array
+   * element has to be wrapped in another array
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   */
+  rpush(key, values, transaction) {
+    return this._listPush(key, values, false, transaction);
+  }
+
+  /**
+   * @desc removes an element from either end of a list
+   * @param {string} key - key of list
+   * @param {boolean} left - whether to remove element from head of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null if list is
+   * empty
+   * @private
+   */
+  _listPop(key, left, transaction) {
+    const self = this;
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements({
+        key: listRange(self._sequelize, key)
+      }, t);
+
+      const record = yield self._table.findOne({
+        where: {
+          key: listRange(self._sequelize, key)
+        },
+        order: [['key', left ? 'ASC' : 'DESC']],
+        transaction: t
+      });
+
+      if (record === null) {
+        return null;
+      }
+
+      if ((yield self._table.destroy({
+        where: {
+          key: record.key
+        },
+        transaction: t
+      })) < 1) {
+        throw new errors.VersionConflictError(key, null);
+      }
+
+      return record.value;
+    }));
+  }
+
+  /**
+   * @desc removes and returns first element of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null if list is
+   * empty
+   */
+  lpop(key, transaction) {
+    return this._listPop(key, true, transaction);
+  }
+
+  /**
+   * @desc removes and returns last element of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null if list is
+   * empty
+   */
+  rpop(key, transaction) {
+    return this._listPop(key, false, transaction);
+  }
+
+  /**
+   * @desc gets number of elements of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   */
+  llen(key, transaction) {
+    const op = this._op;
+
+    return this._table.count(Object.assign({
+      where: Object.assign({
+        key: listRange(this._sequelize, key)
+      }, this._noExpires ? {} : {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      })
+    }, type.isOptional(transaction) ? null : {transaction: transaction}));
+  }
+
+  /**
+   * @desc gets elements of a list between two indices. like redis, both
+   * indices are inclusive and negative indices count from end of list.
+   * @param {string} key - key of list
+   * @param {number=} start - optional index of first element, default is 0
+   * @param {number=} stop - optional index of last element, default is -1
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to elements
+   */
+  lrange(key, start, stop, transaction) {
+    const op = this._op;
+    const self = this;
+
+    start = type.isOptional(start) ? 0 : start;
+    stop = type.isOptional(stop) ? -1 : stop;
+
+    return task.spawn(function * task() {
+      if (start < 0 || stop < 0) {
+        const length = yield self.llen(key, transaction);
+
+        start = start < 0 ? Math.max(length + start, 0) : start;
+        stop = stop < 0 ? length + stop : stop;
+      }
+
+      if (stop < start) {
+        return [];
+      }
+
+      const records = yield self._table.findAll(Object.assign({
+        where: Object.assign({
+          key: listRange(self._sequelize, key)
+        }, self._noExpires ? {} : {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        }),
+        order: [['key', 'ASC']],
+        offset: start,
+        limit: stop - start + 1
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      return records.map(record => record.value);
+    });
+  }
+
+  /**
+   * @desc removes elements of a list outside of two indices. indices are
+   * interpreted like lrange.
+   * @param {string} key - key of list
+   * @param {number} start - index of first element to keep
+   * @param {number} stop - index of last element to keep
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when list is trimmed
+   */
+  ltrim(key, start, stop, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements({
+        key: listRange(self._sequelize, key)
+      }, t);
+
+      const length = yield self.llen(key, t);
+      const first = start < 0 ? Math.max(length + start, 0) : start;
+      const last = Math.min(stop < 0 ? length + stop : stop, length - 1);
+
+      if (last < first) {
+        yield self._table.destroy({
+          where: {
+            key: listRange(self._sequelize, key)
+          },
+          transaction: t
+        });
+
+        return;
+      }
+
+      const bounds = [];
+
+      for (const offset of [first, last]) {
+        bounds.push((yield self._table.findOne({
+          where: {
+            key: listRange(self._sequelize, key)
+          },
+          order: [['key', 'ASC']],
+          offset: offset,
+          attributes: ['key'],
+          transaction: t
+        })).key);
+      }
+
+      yield self._table.destroy({
+        where: {
+          [op.and]: [{
+            key: listRange(self._sequelize, key)
+          }, {
+            [op.or]: [{
+              key: {
+                [op.lt]: bounds[0]
+              }
+            }, {
+              key: {
+                [op.gt]: bounds[1]
+              }
+            }]
+          }]
+        },
+        transaction: t
+      });
+    }));
+  }
+
+  /**
+   * @desc gets record of any unexpired element of a hash or sorted set
+   * @param {*} where - where clause matching elements
+   * @param {*} transaction - sequelize transaction object
+   * @return {Promise.<*>} - resolves to record or null if there are no
+   * elements
+   * @private
+   */
+  _anyElement(where, transaction) {
+    const op = this._op;
+
+    return this._table.findOne({
+      where: Object.assign({}, where, this._noExpires ? {} : {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      }),
+      transaction: transaction
+    });
+  }
+
+  /**
+   * @desc sets value of a hash field. new fields share expiration of hash.
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {*} value - any javascript object to store
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - resolves to true if field was created or
+   * false if it was overwritten
+   */
+  hset(key, field, value, transaction) {
+    const self = this;
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements(hashWhere(self._sequelize, key), t);
+
+      const any = yield self._anyElement(
+        hashWhere(self._sequelize, key), t);
+      const num = yield self._table.destroy({
+        where: {
+          key: hashKey(key, field)
+        },
+        transaction: t
+      });
+
+      yield self._table.create(Object.assign({
+        key: hashKey(key, field),
+        value: value
+      }, self._noExpires ? {} : {
+        expires: any === null ? null : any.expires
+      }), {
+        transaction: t
+      });
+
+      return num < 1;
+    }));
+  }
+
+  /**
+   * @desc gets value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to value of field or null if it does
+   * not exist
+   */
+  hget(key, field, transaction) {
+    return this.hmget(key, [field], transaction)
+      .then(result => Promise.resolve(result[field].value));
+  }
+
+  /**
+   * @desc gets values of multiple hash fields in a single query
+   * @param {string} key - key of hash
+   * @param {Array.<string>} fields - names of fields
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - map of fields to {value, found} objects
+   */
+  hmget(key, fields, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return task.spawn(function * task() {
+      const records = yield self._table.findAll(Object.assign({
+        where: Object.assign({
+          key: {
+            [op.in]: fields.map(field => hashKey(key, field))
+          }
+        }, self._noExpires ? {} : {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        })
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+      const result = {};
+
+      for (const field of fields) {
+        result[field] = {
+          value: null,
+          found: false
+        };
+      }
+
+      for (const record of records) {
+        result[record.key.substr(hashKey(key, '').length)] = {
+          value: record.value,
+          found: true
+        };
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * @desc gets all fields of a hash
+   * @param {string} key - key of hash
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to object mapping fields to values
+   */
+  hgetall(key, transaction) {
+    const op = this._op;
+
+    return this._table.findAll(Object.assign({
+      where: Object.assign(hashWhere(this._sequelize, key),
+        this._noExpires ? {} : {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        })
+    }, type.isOptional(transaction) ? null : {transaction: transaction}))
+      .then(records => {
+        const result = {};
+
+        for (const record of records) {
+          result[record.key.substr(hashKey(key, '').length)] = record.value;
+        }
+
+        return Promise.resolve(result);
+      });
+  }
+
+  /**
+   * @desc removes fields of a hash
+   * @param {string} key - key of hash
+   * @param {string|Array.<string>} fields - name or names of fields
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of removed fields
+   */
+  hdel(key, fields, transaction) {
+    const op = this._op;
+
+    if (!Array.isArray(fields)) {
+      fields = [fields];
+    }
+
+    return this._table.destroy(Object.assign({
+      where: Object.assign({
+        key: {
+          [op.in]: fields.map(field => hashKey(key, field))
+        }
+      }, this._noExpires ? {} : {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      })
+    }, type.isOptional(transaction) ? null : {transaction: transaction}));
+  }
+
+  /**
+   * @desc atomically adds a number to value of a hash field. missing fields
+   * are considered to be 0. set event is emitted for key of hash along with
+   * name of field.
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {number} delta - number to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value of field
+   */
+  hincrby(key, field, delta, transaction) {
+    const error = this._incrementError(delta);
+
+    if (!type.isOptional(error)) {
+      return Promise.reject(error);
+    }
+
+    const self = this;
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements(hashWhere(self._sequelize, key), t);
+
+      const record = yield self._table.findOne({
+        where: {
+          key: hashKey(key, field)
+        },
+        attributes: ['key', 'value'],
+        transaction: t
+      });
+
+      if (record === null) {
+        const any = yield self._anyElement(
+          hashWhere(self._sequelize, key), t);
+
+        yield self._table.create(Object.assign({
+          key: hashKey(key, field),
+          value: 0
+        }, self._noExpires ? {} : {
+          expires: any === null ? null : any.expires
+        }), {
+          transaction: t
+        });
+      } else if (!type.isNumber(record.value)) {
+        throw new Error(`value of field ${field} is not a number: ${key}`);
+      }
+
+      const result = yield self._increment(hashKey(key, field), delta, t);
+
+      // fields are elements of hash, so change is reported on hash
+      self._emitChange(t, 'set', {
+        key: key,
+        field: field,
+        oldValue: record === null ? null : result.oldValue,
+        value: result.value
+      });
+
+      return result.value;
+    }));
+  }
+
+  /**
+   * @desc builds where clause matching unexpired members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {*=} where - optional additions to where clause
+   * @return {*} - where clause
+   * @private
+   */
+  _liveMembers(key, where) {
+    const op = this._op;
+
+    return Object.assign(zsetWhere(this._sequelize, key),
+      this._noExpires ? {} : {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      }, where);
+  }
+
+  /**
+   * @desc converts member records of a sorted set into results
+   * @param {Array.<*>} records - member records
+   * @param {boolean} withScores - whether to include scores
+   * @return {Array.<*>} - members or objects containing member and score
+   * @private
+   */
+  _convertMembers(records, withScores) {
+    return records.map(record => withScores ? {
+      member: record.value,
+      score: record.score
+    } : record.value);
+  }
+
+  /**
+   * @desc adds a member to a sorted set or updates its score. new members
+   * share expiration of sorted set.
+   * @param {string} key - key of sorted set
+   * @param {number} score - score of member
+   * @param {string} member - member to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - resolves to true if member was added or
+   * false if its score was updated
+   */
+  zadd(key, score, member, transaction) {
+    const self = this;
+
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    if (!type.isNumber(score) || !isFinite(score)) {
+      return Promise.reject(new Error(`invalid score: ${score}`));
+    }
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements(zsetWhere(self._sequelize, key), t);
+
+      const result = yield self._table.update({
+        score: score
+      }, {
+        where: {
+          key: zsetKey(key, member)
+        },
+        transaction: t
+      });
+
+      if (result[0] > 0) {
+        return false;
+      }
+
+      const any = yield self._anyElement(zsetWhere(self._sequelize, key), t);
+
+      yield self._table.create(Object.assign({
+        key: zsetKey(key, member),
+        value: member,
+        score: score
+      }, self._noExpires ? {} : {
+        expires: any === null ? null : any.expires
+      }), {
+        transaction: t
+      });
+
+      return true;
+    }));
+  }
+
+  /**
+   * @desc atomically adds a number to score of a member. missing members
+   * are added with score of 0.
+   * @param {string} key - key of sorted set
+   * @param {number} delta - number to add to score
+   * @param {string} member - target member
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new score of member
+   */
+  zincrby(key, delta, member, transaction) {
+    const self = this;
+
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    if (!type.isNumber(delta) || !isFinite(delta)) {
+      return Promise.reject(new Error(`invalid increment: ${delta}`));
+    }
+
+    const column = this._sequelize.getQueryInterface()
+      .quoteIdentifier('score');
+
+    return this._atomic(transaction, t => task.spawn(function * task() {
+      yield self._destroyExpiredElements(zsetWhere(self._sequelize, key), t);
+
+      const result = yield self._table.update({
+        score: self._sequelize.literal(
+          `${column} + ${self._sequelize.escape(delta)}`)
+      }, {
+        where: {
+          key: zsetKey(key, member)
+        },
+        transaction: t
+      });
+
+      if (result[0] < 1) {
+        yield self.zadd(key, delta, member, t);
+        return delta;
+      }
+
+      return (yield self._table.findOne({
+        where: {
+          key: zsetKey(key, member)
+        },
+        attributes: ['score'],
+        transaction: t
+      })).score;
+    }));
+  }
+
+  /**
+   * @desc gets members of a sorted set between two ranks. members are
+   * ordered by score and then by member. like redis, both ranks are
+   * inclusive and negative ranks count from end of sorted set.
+   * @param {string} key - key of sorted set
+   * @param {number=} start - optional rank of first member, default is 0
+   * @param {number=} stop - optional rank of last member, default is -1
+   * @param {*=} options - optional withScores to return objects containing
+   * member and score, and reverse to order by descending score
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to members
+   */
+  zrange(key, start, stop, options, transaction) {
+    const self = this;
+
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    start = type.isOptional(start) ? 0 : start;
+    stop = type.isOptional(stop) ? -1 : stop;
+    options = Object.assign({
+      withScores: false,
+      reverse: false
+    }, options);
+
+    return task.spawn(function * task() {
+      if (start < 0 || stop < 0) {
+        const length = yield self.zcard(key, transaction);
+
+        start = start < 0 ? Math.max(length + start, 0) : start;
+        stop = stop < 0 ? length + stop : stop;
+      }
+
+      if (stop < start) {
+        return [];
+      }
+
+      const direction = options.reverse ? 'DESC' : 'ASC';
+      const records = yield self._table.findAll(Object.assign({
+        where: self._liveMembers(key),
+        order: [['score', direction], ['key', direction]],
+        offset: start,
+        limit: stop - start + 1
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      return self._convertMembers(records, options.withScores);
+    });
+  }
+
+  /**
+   * @desc gets members of a sorted set with scores between min and max,
+   * both inclusive, ordered by score
+   * @param {string} key - key of sorted set
+   * @param {number|null} min - minimum score or null for no lower bound
+   * @param {number|null} max - maximum score or null for no upper bound
+   * @param {*=} options - optional withScores to return objects containing
+   * member and score, and offset and limit of returned members
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to members
+   */
+  zrangeByScore(key, min, max, options, transaction) {
+    const op = this._op;
+
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    options = Object.assign({
+      withScores: false
+    }, options);
+
+    const score = {};
+
+    if (!type.isOptional(min) && isFinite(min)) {
+      score[op.gte] = min;
+    }
+
+    if (!type.isOptional(max) && isFinite(max)) {
+      score[op.lte] = max;
+    }
+
+    return this._table.findAll(Object.assign({
+      where: this._liveMembers(key, Object.keys(score).length < 1 ? null : {
+        score: score
+      }),
+      order: [['score', 'ASC'], ['key', 'ASC']]
+    }, type.isOptional(options.offset) ? null : {
+      offset: options.offset
+    }, type.isOptional(options.limit) ? null : {
+      limit: options.limit
+    }, type.isOptional(transaction) ? null : {
+      transaction: transaction
+    })).then(records => Promise.resolve(
+      this._convertMembers(records, options.withScores)));
+  }
+
+  /**
+   * @desc gets rank of a member in ascending order of scores
+   * @param {string} key - key of sorted set
+   * @param {string} member - target member
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number|null>} - resolves to rank of member starting
+   * from 0 or null if member does not exist
+   */
+  zrank(key, member, transaction) {
+    const op = this._op;
+    const self = this;
+
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    return task.spawn(function * task() {
+      const record = yield self._table.findOne(Object.assign({
+        where: self._liveMembers(key, {
+          key: zsetKey(key, member)
+        }),
+        attributes: ['key', 'score']
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      if (type.isOptional(record)) {
+        return null;
+      }
+
+      return yield self._table.count(Object.assign({
+        where: self._liveMembers(key, {
+          [op.or]: [{
+            score: {
+              [op.lt]: record.score
+            }
+          }, {
+            score: record.score,
+            key: {
+              [op.lt]: record.key
+            }
+          }]
+        })
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+    });
+  }
+
+  /**
+   * @desc removes members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {string|Array.<string>} members - member or members to remove
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of removed members
+   */
+  zrem(key, members, transaction) {
+    const op = this._op;
+
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    if (!Array.isArray(members)) {
+      members = [members];
+    }
+
+    return this._table.destroy(Object.assign({
+      where: this._liveMembers(key, {
+        key: {
+          [op.in]: members.map(member => zsetKey(key, member))
+        }
+      })
+    }, type.isOptional(transaction) ? null : {transaction: transaction}));
+  }
+
+  /**
+   * @desc gets number of members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of members
+   */
+  zcard(key, transaction) {
+    if (!this._scores) {
+      return Promise.reject(new Error('sorted sets are not enabled'));
+    }
+
+    return this._table.count(Object.assign({
+      where: this._liveMembers(key)
+    }, type.isOptional(transaction) ? null : {transaction: transaction}));
+  }
+
+  /**
+   * @desc gets values stored at multiple keys in a single query
+   * @param {Array.<string>} keys - keys to requested values
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - map of keys to {value, found} objects, found is
+   * false for missing keys
+   */
+  mget(keys, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return task.spawn(function * task() {
+      const records = keys.length < 1 ? [] : yield self._table.findAll(
+        Object.assign({
+          where: Object.assign({
+            key: {
+              [op.in]: keys
+            }
+          }, self._noExpires ? {} : {
+            expires: {
+              [op.or]: {
+                [op.eq]: null,
+                [op.gt]: new Date()
+              }
+            }
+          }),
+          attributes: ['key', 'value']
+        }, type.isOptional(transaction) ? null : {transaction: transaction}));
 
-  task.start();
-  return task;
-}
+      const result = keys.reduce((map, key) => {
+        map[key] = {
+          value: null,
+          found: false
+        };
+        return map;
+      }, {});
+
+      for (const record of records) {
+        result[record.key] = {
+          value: record.value,
+          found: true
+        };
+      }
+
+      return result;
+    });
+  }
 
-/**
- * @desc allows for settings prefix to keys
- * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
- * @private
- */
-class _SequelizeDbMetaPrefixInstance {
   /**
-   * @desc creates a new instance of _SequelizeDbMetaPrefixInstance
-   * @param {SequelizeDbMetaInstance} master - instance to master
-   * @param {string} prefix - prefix to use
+   * @desc adds or overwrites multiple values at once using bulk queries
+   * @param {*} entries - plain object, Map or array of [key, value] pairs
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when values are written
    */
-  constructor(master, prefix) {
-    this._master = master;
-    this._prefix = prefix;
+  mput(entries, transaction) {
+    const op = this._op;
+    const self = this;
+
+    entries = Array.from(new Map(toEntries(entries)));
+
+    if (entries.length < 1) {
+      return Promise.resolve();
+    }
+
+    for (const entry of entries) {
+      const invalid = this._validate(entry[0], entry[1]);
+
+      if (!type.isOptional(invalid)) {
+        return Promise.reject(invalid);
+      }
+    }
+
+    return this._transaction(transaction, t => task.spawn(function * task() {
+      if (self._versions) {
+        for (const entry of entries) {
+          yield self.put(entry[0], entry[1], null, t);
+        }
+
+        return;
+      }
+
+      const current = self._observed('set') ?
+        yield self.mget(entries.map(entry => entry[0]), t) : null;
+
+      yield self._table.destroy({
+        where: {
+          key: {
+            [op.in]: entries.map(entry => entry[0])
+          }
+        },
+        transaction: t
+      });
+
+      yield self._table.bulkCreate(entries.map(entry => Object.assign({
+        key: entry[0],
+        value: entry[1]
+      }, self._noExpires ? {} : {
+        expires: null
+      })), {
+        transaction: t
+      });
+
+      self._invalidate(entries.map(entry => entry[0]), t);
+
+      if (current !== null) {
+        for (const entry of entries) {
+          self._emitChange(t, 'set', {
+            key: entry[0],
+            oldValue: current[entry[0]].value,
+            value: entry[1]
+          });
+        }
+      }
+    }));
   }
 
   /**
-   * @desc gets table name
-   * @return {string} - table name
+   * @desc removes multiple keys from storage using a single query
+   * @param {Array.<string>} keys - target keys
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of removed keys
    */
-  get tableName() {
-    return this._master.tableName;
+  mdelete(keys, transaction) {
+    const op = this._op;
+
+    if (keys.length < 1) {
+      return Promise.resolve(0);
+    }
+
+    return this._destroy(Object.assign({
+      key: {
+        [op.in]: keys
+      }
+    }, this._noExpires ? {} : {
+      expires: {
+        [op.or]: {
+          [op.eq]: null,
+          [op.gt]: new Date()
+        }
+      }
+    }), keys, transaction);
   }
 
   /**
-   * @desc {Model} - return sequelize schema Model object
+   * @desc sets expiration time of key
+   * @param {string} key - target key
+   * @param {number} time - time in seconds
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is set, rejects by
+   * ValidationError if time is not a finite number
    */
-  get schema() {
-    return this._master.schema;
+  expire(key, time, transaction) {
+    if (!type.isNumber(time) || !isFinite(time)) {
+      return Promise.reject(new errors.ValidationError(
+        key, null, `invalid expiration time: ${time}`));
+    }
+
+    let date = new Date();
+    date.setSeconds(date.getSeconds() + time);
+
+    return this.expireAt(key, date, transaction);
   }
 
   /**
-   * @desc converts key and applies prefix
-   * @param {string} key - key to object
-   * @return {string} - converted key
-   * @private
+   * @desc sets expiration time of key to an absolute date
+   * @param {string} key - target key
+   * @param {Date|number} date - date or timestamp in milliseconds at which
+   * key expires
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is set, rejects by
+   * ValidationError if date is invalid
    */
-  _convertKey(key) {
-    if (type.isOptional(key)) {
-      return `${this._prefix}*`;
+  expireAt(key, date, transaction) {
+    const expires = type.isOptional(date) ? null : new Date(date);
+
+    if (expires === null || isNaN(expires.getTime())) {
+      return Promise.reject(new errors.ValidationError(
+        key, null, `invalid expiration date: ${date}`));
     }
 
-    return `${this._prefix}${key}`;
+    return this._setExpires(key, expires, transaction);
   }
 
   /**
-   * @desc gets value associated with a key or default if it does not exist
-   * @param {string} key - object key
-   * @param {*} value - default value to use if object does not exist
-   * @param {*=} transaction - optional sequelize transaction
-   * @return {Promise.<*>} - returns value at key or a default value
+   * @desc removes expiration of key so it would never expire
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is removed
    */
-  getOrDefault(key, value, transaction) {
-    return this._master.getOrDefault(
-      this._convertKey(key), value, transaction);
+  persist(key, transaction) {
+    return this._setExpires(key, null, transaction);
   }
 
   /**
-   * @desc gets value associated with a key or null if it does not exist
-   * @param {string} key - object key
-   * @param {*=} transaction - optional sequelize transaction to use
-   * @return {Promise.<*|null>} - value at key or a null
+   * @desc gets remaining lifetime of key in seconds
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number|null>} - remaining seconds rounded up, or null
+   * if key does not expire
    */
-  getOrNull(key, transaction) {
-    return this._master.getOrNull(this._convertKey(key), transaction);
+  ttl(key, transaction) {
+    const op = this._op;
+
+    if (this._noExpires) {
+      return this.get(key, transaction).then(() => Promise.resolve(null));
+    }
+
+    return this._table.findOne(Object.assign({
+      where: Object.assign(keyWhere(this._sequelize, key), {
+        expires: {
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
+          }
+        }
+      }),
+      attributes: ['expires']
+    }, type.isOptional(transaction) ? null : {
+      transaction: transaction
+    })).then(res => {
+      if (res === null) {
+        return Promise.reject(new Error(`key not found: ${key}`));
+      }
+
+      if (res.expires === null) {
+        return Promise.resolve(null);
+      }
+
+      return Promise.resolve(Math.max(
+        Math.ceil((res.expires.getTime() - Date.now()) / 1000), 0));
+    });
   }
 
   /**
-   * @desc gets value stored at key or rejects with an error
-   * @param {string} key - object key
+   * @desc sets expires column of an unexpired key
+   * @param {string} key - target key
+   * @param {Date|null} date - new expiration date
    * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<*>} - value stored at key
+   * @return {Promise} - resolves when expiration is set
+   * @private
    */
-  get(key, transaction) {
-    return this._master.get(this._convertKey(key), transaction);
+  _setExpires(key, date, transaction) {
+    const op = this._op;
+
+    if (this._noExpires) {
+      return Promise.resolve();
+    }
+
+    const self = this;
+
+    return task.spawn(function * task() {
+      let result = yield self._table.update({
+        expires: date
+      }, Object.assign({
+        where: Object.assign(keyWhere(self._sequelize, key), {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        })
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      if (result[0] < 1) {
+        throw new Error(`key not found: ${key}`);
+      }
+
+      self._invalidate([key], transaction);
+      self._emitChange(transaction, 'expire', {
+        key: key,
+        expires: date
+      });
+    });
   }
 
   /**
-   * @desc shows whether key is inside storage or not
-   * @param {string} key - object key
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<boolean>} - true if key exists
+   * @desc acquires a lock stored as record at name. lock is held until it is
+   * released or its lease expires, so locks of crashed holders free
+   * themselves and are removed by gc. locks are not reentrant.
+   * @param {string} name - key of lock record
+   * @param {*=} options - optional ttl of lease in seconds (default 30) and
+   * owner identifying holder (default a random id)
+   * @return {Promise.<*>} - resolves to lock containing name, owner, ttl and
+   * expires or null if lock is held
    */
-  has(key, transaction) {
-    return this._master.has(this._convertKey(key), transaction);
+  acquireLock(name, options) {
+    if (this._noExpires) {
+      return Promise.reject(new Error('expiration is not enabled'));
+    }
+
+    options = Object.assign({
+      ttl: LOCK_TTL,
+      owner: crypto.randomBytes(16).toString('hex')
+    }, options);
+
+    const self = this;
+    const expires = new Date(Date.now() + options.ttl * 1000);
+
+    return task.spawn(function * task() {
+      yield self._destroyExpired(name);
+
+      if (!(yield self._swap(name, null, {
+        value: self._serializer.encode({
+          owner: options.owner
+        }, name),
+        expires: expires
+      }, true))) {
+        return null;
+      }
+
+      self._invalidate([name]);
+
+      return {
+        name: name,
+        owner: options.owner,
+        ttl: options.ttl,
+        expires: expires
+      };
+    });
   }
 
   /**
-   * @desc deletes value from storage, returns true if value was deleted
-   * @param {string} key - object key
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<boolean>} - true if value was deleted
+   * @desc finds record of a lock which is held by an owner
+   * @param {string} name - key of lock record
+   * @param {string} owner - owner of lock
+   * @return {Promise.<*>} - resolves to record or null if lock is not held
+   * by owner
+   * @private
    */
-  delete(key, transaction) {
-    return this._master.delete(this._convertKey(key), transaction);
+  _findLock(name, owner) {
+    const op = this._op;
+
+    return this._table.findOne({
+      where: {
+        key: name,
+        expires: {
+          [op.gt]: new Date()
+        }
+      }
+    }).then(record => type.isOptional(record) ||
+      type.isOptional(record.value) || record.value.owner !== owner ?
+      null : record);
   }
 
   /**
-   * @desc adds value to database or overwrites existing value
-   * @param {string} key - object key
-   * @param {*} value - new object value
-   * @param {*=} data - additional data to write
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolves when value was added
+   * @desc extends lease of a lock held by owner
+   * @param {string} name - key of lock record
+   * @param {*} options - owner of lock and optional ttl of new lease in
+   * seconds (default 30). a lock returned by acquireLock can be passed.
+   * @return {Promise.<*>} - resolves to renewed lock or null if lock is no
+   * longer held by owner
    */
-  put(key, value, data, transaction) {
-    return this._master.put(this._convertKey(key), value, data, transaction);
+  renewLock(name, options) {
+    const op = this._op;
+
+    if (type.isOptional(options) || type.isOptional(options.owner)) {
+      return Promise.reject(new Error('owner is required'));
+    }
+
+    options = Object.assign({
+      ttl: LOCK_TTL
+    }, options);
+
+    const self = this;
+    const expires = new Date(Date.now() + options.ttl * 1000);
+
+    return task.spawn(function * task() {
+      const record = yield self._findLock(name, options.owner);
+
+      if (record === null) {
+        return null;
+      }
+
+      const result = yield self._table.update({
+        expires: expires
+      }, {
+        where: {
+          key: name,
+          value: record.getDataValue('value'),
+          expires: {
+            [op.gt]: new Date()
+          }
+        }
+      });
+
+      if (result[0] < 1) {
+        return null;
+      }
+
+      self._invalidate([name]);
+
+      return {
+        name: name,
+        owner: options.owner,
+        ttl: options.ttl,
+        expires: expires
+      };
+    });
   }
 
   /**
-   * @desc merge previous value of key into new value
-   * @param {string} key - key to requested value
-   * @param {*} value - any javascript object to store
-   * @param {*=} data - additional optional data to write
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolve when value is created
+   * @desc releases a lock held by owner
+   * @param {string} name - key of lock record
+   * @param {*} options - owner of lock. a lock returned by acquireLock can
+   * be passed.
+   * @return {Promise.<boolean>} - resolves to true if lock was released or
+   * false if it was not held by owner
    */
-  assign(key, value, data, transaction) {
-    return this._master.assign(
-      this._convertKey(key), value, data, transaction);
+  releaseLock(name, options) {
+    if (type.isOptional(options) || type.isOptional(options.owner)) {
+      return Promise.reject(new Error('owner is required'));
+    }
+
+    const self = this;
+
+    return task.spawn(function * task() {
+      const record = yield self._findLock(name, options.owner);
+
+      if (record === null) {
+        return false;
+      }
+
+      const num = yield self._table.destroy({
+        where: {
+          key: name,
+          value: record.getDataValue('value')
+        }
+      });
+
+      self._invalidate([name]);
+
+      return num > 0;
+    });
   }
 
   /**
-   * @desc sets expiration time on key in seconds
-   * @param {string} key - object key
-   * @param {number} time - time in seconds
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolves when value was added
+   * @desc runs a function while holding a lock. lease is renewed every half
+   * of ttl while function runs and lock is released once it settles.
+   * rejects with LockError if lock is held.
+   * @param {string} name - key of lock record
+   * @param {function} fn - function receiving lock and returning a value
+   * or promise
+   * @param {*=} options - optional ttl and owner passed to acquireLock
+   * @return {Promise.<*>} - resolves to result of function
    */
-  expire(key, time, transaction) {
-    return this._master.expire(key, time, transaction);
+  withLock(name, fn, options) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      let lock = yield self.acquireLock(name, options);
+
+      if (lock === null) {
+        throw new errors.LockError(name);
+      }
+
+      const timer = setInterval(() => {
+        self.renewLock(name, lock).then(renewed => {
+          if (renewed === null) {
+            clearInterval(timer);
+          } else {
+            lock = renewed;
+          }
+        }).catch(() => undefined);
+      }, lock.ttl * 500);
+
+      timer.unref();
+
+      try {
+        return yield Promise.resolve(fn(lock));
+      } finally {
+        clearInterval(timer);
+        yield self.releaseLock(name, lock);
+      }
+    });
   }
 
   /**
-   * @desc collects garbage and removes expired items
-   * @return {Promise} - resolves when garbage collection is done
+   * @desc creates a rate limiter storing its counters in meta table
+   * @param {*} options - limit, number of units allowed per window, window
+   * in seconds, optional mode, either fixed (default) or bucket, and
+   * optional prefix added to ids
+   * @return {RateLimiter} - rate limiter providing consume
    */
-  gc() {
-    return this._master.gc();
+  rateLimiter(options) {
+    return new RateLimiter(this._counters(), options);
   }
 
   /**
-   * @desc start automatic garbage collection service based on cron-tab
-   * scheduling specification
-   * @param {string} schedule - CRON-tab schedule
+   * @desc internal api rate limiters use to keep their counters in meta
+   * table, so they do not depend on the rest of the instance
+   * @return {*} - object containing sequelize, error, returning error that
+   * prevents counters from being used or null, create, creating record of a
+   * key with a number and expiration unless a live record exists, update,
+   * updating a live record if a condition on its stored number holds and
+   * reading it back, and delete, removing record of a key
+   * @private
    */
-  monitor(schedule) {
-    this._master.monitor(schedule);
-  }
+  _counters() {
+    const self = this;
+    const op = this._op;
 
-  /**
-   * @desc clear everything on database
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolve when database is truncated
-   */
-  clear(transaction) {
-    return this._master.clear(transaction);
-  }
+    return {
+      sequelize: this._sequelize,
+      error() {
+        if (self._noExpires) {
+          return new Error('expiration is not enabled');
+        }
 
-  /**
-   * @desc count number of records using a pattern
-   * @param {string=} pattern - optional pattern to keys
-   * @param {*=} where - optional additional where clause
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<number>} - resolves to number of records
-   */
-  count(pattern, where, transaction) {
-    return this._master.count(this._convertKey(pattern), where, transaction);
-  }
+        if (!self._numeric) {
+          return new Error('serializer does not support atomic increments');
+        }
 
-  /**
-   * @desc lists records found in database using a pattern
-   * @param {number=} start - optional start of lookup
-   * @param {length=} length - optional length of data
-   * @param {string=} pattern - optional wildcard pattern of keys
-   * @param {*=} where - optional additions to where clause
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<Array.<*> >} - filtered records
-   */
-  all(start, length, pattern, where, transaction) {
-    return this._master.all(
-      start, length, this._convertKey(pattern), where, transaction)
-      .then(arr => Promise.resolve(arr.map(record => {
-        const key = record.key.substr(this._prefix.length);
-        const prototype = Object.create(Object.getPrototypeOf(record));
+        return null;
+      },
+      create(key, value, expires) {
+        return task.spawn(function * task() {
+          yield self._destroyExpired(key);
 
-        Object.defineProperty(prototype, 'key', {
-          get: () => key
+          const created = yield self._swap(key, null, {
+            value: self._serializer.encode(value, key),
+            expires: new Date(expires)
+          }, true);
+
+          self._invalidate([key]);
+          return created;
         });
-        Object.setPrototypeOf(record, prototype);
+      },
+      update(key, values, number, bound, now) {
+        const where = {
+          key: key,
+          expires: {
+            [op.gt]: new Date(now)
+          }
+        };
 
-        return record;
-      })));
-  }
+        return task.spawn(function * task() {
+          const result = yield self._table.update(values, {
+            where: Object.assign({
+              [op.and]: [
+                self._sequelize.where(
+                  self._sequelize.literal(number), '<=', bound)
+              ]
+            }, where),
+            validate: false
+          });
+          const record = yield self._table.findOne({
+            where: where
+          });
 
-  /**
-   * @desc add additional prefix to key lookup
-   * @param {string} newPrefix - new prefix to use
-   * @return {SequelizeDbMetaInstance} - new storage with additional prefix
-   */
-  prefix(newPrefix) {
-    return new _SequelizeDbMetaPrefixInstance(
-      this._master, this._convertKey(newPrefix));
+          self._invalidate([key]);
+
+          if (type.isOptional(record)) {
+            return null;
+          }
+
+          return {
+            updated: result[0] > 0,
+            number: record.value,
+            expires: record.expires
+          };
+        });
+      },
+      delete: key => self.delete(key)
+    };
   }
-}
 
-/**
- * @desc Provides a usable extensible mechanism to store some metadata
- * in form of key-value pairs in a relational database
- * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
- */
-class SequelizeDbMetaInstance {
   /**
-   * @desc initialize model definitions in database
-   * @param {Sequelize} sequelize - a reference to an instance of Sequelize
-   * @param {string=} name - name of meta table
-   * @param {*=} definitions - extra definitions to use
-   * @param {*=} options - optional optional to pass
+   * @desc remove expires items from database in batches, giving way to other
+   * work between batches. an evicted event is emitted for every removed key.
+   * elements of lists, hashes and sorted sets are removed along with keys,
+   * but neither reported nor evicted by events.
+   * @param {*=} options - optional batchSize, maximum number of keys removed
+   * by each batch (default 1000), maxDuration in milliseconds after which
+   * no further batch is started, pattern, a wildcard pattern to limit
+   * collection to matching keys, and maxKeys, maximum number of removed keys
+   * reported (default 1000). a transaction given as first argument, as
+   * earlier versions did, is used as transaction.
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to object containing number of removed
+   * records, keys, up to maxKeys of removed keys, number of batches and
+   * durationMs, time spent in milliseconds
    */
-  constructor(sequelize, name, definitions, options) {
-    if (type.isOptional(name)) {
-      name = '__metadb';
+  gc(options, transaction) {
+    const op = this._op;
+    const started = Date.now();
+    const args = gcArguments(this._sequelize, options, transaction);
+
+    if (!type.isUndefined(args.error)) {
+      return Promise.reject(args.error);
     }
 
-    options = Object.assign({
-      timestamps: false
-    }, options);
+    options = args.options;
+    transaction = args.transaction;
 
-    this._noExpires = options.expires === false;
-    delete options.expires;
+    if (type.isOptional(options.batchSize)) {
+      options.batchSize = GC_BATCH_SIZE;
+    }
 
-    if (!this._noExpires) {
-      options.indexes = (options.indexes || []).concat([{
-        name: 'expires_index',
-        method: 'btree',
-        fields: [{
-          attribute: 'expires',
-          order: 'desc'
-        }]
-      }]);
+    if (type.isOptional(options.maxDuration)) {
+      options.maxDuration = Infinity;
     }
 
-    this._table = sequelize.define(name, Object.assign({
-      key: {
-        type: sequelize.Sequelize.TEXT,
-        primaryKey: true
-      },
-      value: {
-        type: sequelize.Sequelize.TEXT,
-        allowNull: false,
-        get: function parseValue() {
-          const value = this.getDataValue('value');
+    if (type.isOptional(options.maxKeys)) {
+      options.maxKeys = GC_MAX_KEYS;
+    }
 
-          if (type.isUndefined(value)) {
-            return undefined;
+    if (!Number.isInteger(options.batchSize) || options.batchSize <= 0) {
+      return Promise.reject(
+        new Error(`invalid batch size: ${options.batchSize}`));
+    }
+
+    if (!Number.isInteger(options.maxKeys) || options.maxKeys < 0) {
+      return Promise.reject(
+        new Error(`invalid max keys: ${options.maxKeys}`));
+    }
+
+    if (!type.isNumber(options.maxDuration) || options.maxDuration < 0) {
+      return Promise.reject(
+        new Error(`invalid max duration: ${options.maxDuration}`));
+    }
+
+    const result = {
+      removed: 0,
+      keys: [],
+      batches: 0,
+      durationMs: 0
+    };
+
+    if (this._noExpires) {
+      return Promise.resolve(result);
+    }
+
+    const self = this;
+    const where = Object.assign({
+      expires: {
+        [op.lte]: new Date(started)
+      }
+    }, ownedPatternWhere(this._sequelize, options.pattern));
+
+    return task.spawn(function * task() {
+      let more = true;
+
+      while (more) {
+        const records = yield self._table.findAll(Object.assign({
+          where: where,
+          attributes: self._observed('evicted') ? ['key', 'value'] : ['key'],
+          limit: options.batchSize
+        }, type.isOptional(transaction) ? null : {transaction: transaction}));
+        const keys = records.map(record => record.key);
+
+        if (keys.length < 1) {
+          break;
+        }
+
+        result.removed += yield self._table.destroy(Object.assign({
+          where: Object.assign({}, where, {
+            key: {
+              [op.in]: keys
+            }
+          })
+        }, type.isOptional(transaction) ? null : {transaction: transaction}));
+        result.batches++;
+
+        self._invalidate(keys, transaction);
+
+        const evicted = records.filter(
+          record => record.key.indexOf(ELEMENT_SEPARATOR) < 0);
+
+        for (const record of evicted.slice(
+          0, options.maxKeys - result.keys.length)) {
+          result.keys.push(record.key);
+        }
+
+        if (self._observed('evicted')) {
+          for (const record of evicted) {
+            self._emitChange(transaction, 'evicted', {
+              key: record.key,
+              oldValue: record.value
+            });
           }
+        }
 
-          return JSON.parse(value).value;
-        },
-        set: function encodeValue(value) {
-          this.setDataValue('value', JSON.stringify({value: value}));
+        more = keys.length >= options.batchSize &&
+          Date.now() - started < options.maxDuration;
+
+        if (more) {
+          yield new Promise(resolve => setImmediate(resolve));
         }
       }
-    }, this._noExpires ? {} : {
-      expires: {
-        type: sequelize.Sequelize.DATE,
-        allowNull: true
-      }
-    }, definitions), options);
 
-    this._sequelize = sequelize;
-    this._task = null;
-    this._tableName = name;
+      result.durationMs = Date.now() - started;
+      return result;
+    });
   }
 
   /**
-   * @desc {Model} - return sequelize schema Model object
+   * @desc start garbage collection monitoring service. service does not
+   * keep instance alive and stops once instance is garbage collected.
+   * @param {(string|number)=} schedule - a cron-tab compatible schedule
+   * string with optional seconds field or an interval in seconds. default
+   * is every 20 minutes
+   * @param {*=} options - optional leader, either true or name of a lock,
+   * to elect a single instance among processes sharing table which runs gc.
+   * lease of lock lasts two runs. batchSize, maxDuration and pattern are
+   * passed to gc. errors of gc are emitted as error events if there are
+   * listeners and are otherwise only counted in monitorStats.
    */
-  get schema() {
-    return this._table;
+  monitor(schedule, options) {
+    if (!this._noExpires) {
+      const previous = this._task;
+
+      this._task = new Monitor(this, schedule, options);
+
+      if (!type.isOptional(previous)) {
+        previous.stop().catch(() => undefined);
+      }
+    }
   }
 
   /**
-   * @return {string} - table name used for operations
+   * @desc statistics of last gc run by monitoring service
+   * @return {*} - object containing removed, batches, durationMs,
+   * finishedAt, errors, number of failed runs, and lastError or null if
+   * monitor is not started or gc has not run yet
    */
-  get tableName() {
-    return this._tableName;
+  get monitorStats() {
+    return type.isOptional(this._task) ? null : this._task.stats;
   }
 
   /**
-   * @desc internal function to query a single key from database
-   * @param {string} key - the key to requested value
-   * @param {*=} transaction - optional reference to transaction object
-   * @return {Promise.<*>} - value stored at key
-   * @private
+   * @desc stop garbage collection monitoring service
+   * @return {Promise} - resolves once running gc is finished and lock of
+   * leader is released
    */
-  _get(key, transaction) {
-    const self = this;
+  stopMonitor() {
+    const monitor = this._task;
 
-    return task.spawn(function * task() {
-      let res = yield self._table.findOne(Object.assign({
-        where: Object.assign({
-          key: key
-        }, self._noExpires ? {} : {
-          expires: {
-            $or: {
-              $eq: null,
-              $gt: new Date()
-            }
-          }
-        }),
-        attributes: {
-          exclude: ['key']
-        }
-      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+    this._task = null;
 
-      if (res === null) {
-        return {
-          value: null,
-          found: false
-        };
-      }
+    return type.isOptional(monitor) ? Promise.resolve() : monitor.stop();
+  }
 
-      return {
-        value: res.value,
-        found: true
-      };
+  /**
+   * @desc stops garbage collection monitoring service and drops cached
+   * values. connection of sequelize is left open.
+   * @return {Promise} - resolves once instance is closed
+   */
+  close() {
+    const self = this;
+
+    return this.stopMonitor().then(() => {
+      self._invalidate(null);
     });
   }
 
   /**
-   * @desc get value stored at key or a default value
-   * @param {string} key - key to requested vaue
-   * @param {*} value - default value to use if key is not found
-   * @param {*=} transaction - optional sequelize transaction objet
-   * @return {Promise.<*>} - returns value stored at key or a default value
+   * @desc empty all items in storage. reserved records such as applied
+   * schema version are kept.
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - fulfils when all items are cleared
    */
-  getOrDefault(key, value, transaction) {
-    return this._get(key, transaction).then(v => {
-      if (!v.found) {
-        return Promise.resolve(value);
+  clear(transaction) {
+    return this._table.destroy(Object.assign({
+      where: {
+        key: publicKeys(this._sequelize)
       }
+    }, type.isOptional(transaction) ? null : {transaction: transaction}))
+      .then(() => {
+        this._invalidate(null, transaction);
+        this._emitChange(transaction, 'clear', {});
+      });
+  }
 
-      return Promise.resolve(v.value);
-    });
+  /**
+   * @desc removes all keys matching a wildcard pattern, including expired
+   * ones, using a single query
+   * @param {string} pattern - wildcard pattern of keys
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of removed records
+   */
+  deletePattern(pattern, transaction) {
+    if (type.isOptional(pattern)) {
+      return Promise.reject(new Error('pattern is required'));
+    }
+
+    return this._destroy(Object.assign({
+      key: publicKeys(this._sequelize)
+    }, ownedPatternWhere(this._sequelize, pattern)), null, transaction);
   }
 
   /**
-   * @desc gets value stored at key or null value
-   * @param {string} key - key to requested value
-   * @param {*=} transaction - optional transaction object
-   * @return {Promise.<*|null>} - value stored at requested key
+   * @desc re-encrypts values which are not encrypted by current key, not
+   * bound to their key, or not encrypted at all, using current key. rows are processed in batches each
+   * inside its own transaction. rows changed by others in the meanwhile are
+   * left untouched since they are already written using current key.
+   * @param {string=} pattern - optional wildcard pattern of keys to rotate
+   * @param {number=} batchSize - optional number of rows re-encrypted by
+   * each batch, default is 100
+   * @return {Promise.<number>} - number of re-encrypted rows
    */
-  getOrNull(key, transaction) {
-    return this.getOrDefault(key, null, transaction);
+  rotateKeys(pattern, batchSize) {
+    const op = this._op;
+
+    if (type.isUndefined(this._serializer.marker)) {
+      return Promise.reject(new Error('encryption is not enabled'));
+    }
+
+    if (type.isOptional(batchSize)) {
+      batchSize = 100;
+    }
+
+    const self = this;
+    const marker = this._serializer.marker;
+    const column = this._sequelize.getQueryInterface()
+      .quoteIdentifier('value');
+    // unlike NOT LIKE, comparison is case sensitive, so ids of keys which
+    // only differ in case are told apart
+    const where = patternWhere(this._sequelize, pattern, {
+      [op.and]: [this._sequelize.literal(
+        `SUBSTR(${column}, 1, ${Array.from(marker).length}) <> ` +
+        `${this._sequelize.escape(marker)}`)]
+    });
+
+    return task.spawn(function * rotate() {
+      let rotated = 0;
+      let last = null;
+
+      for (;;) {
+        const records = yield self._table.findAll({
+          where: type.isOptional(last) ? where : Object.assign({}, where, {
+            key: Object.assign({}, where.key, {
+              [op.gt]: last
+            })
+          }),
+          attributes: ['key', 'value'],
+          order: [['key', 'ASC']],
+          limit: batchSize
+        });
+
+        if (records.length < 1) {
+          return rotated;
+        }
+
+        rotated += yield self._sequelize.transaction(t => task.spawn(
+          function * batch() {
+            let count = 0;
+
+            for (const record of records) {
+              const text = record.getDataValue('value');
+              const result = yield self._table.update({
+                value: self._serializer.encode(
+                  self._serializer.decode(text, record.key), record.key)
+              }, {
+                where: {
+                  key: record.key,
+                  value: text
+                },
+                validate: false,
+                transaction: t
+              });
+
+              count += result[0];
+            }
+
+            self._invalidate(records.map(record => record.key), t);
+            return count;
+          }));
+
+        if (records.length < batchSize) {
+          return rotated;
+        }
+
+        last = records[records.length - 1].key;
+      }
+    });
   }
 
   /**
-   * @desc gets value stored at key or rejects with an error
-   * @param {string} key - key to requested value
-   * @param {*=} transaction - optional transaction object
-   * @return {Promise.<*>} - value stored at requested key
+   * @desc get total number of key-value pairs stored in meta data. lists,
+   * hashes and sorted sets are not counted.
+   * @param {string=} pattern - pattern to search for
+   * @param {*=} where - optional additions to where clause or a value
+   * filter such as {valuePath: 'user.id', eq: 42}
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - total number of items
    */
-  get(key, transaction) {
-    return this._get(key, transaction).then(v => {
-      if (!v.found) {
-        return Promise.reject(new Error(`key not found: ${key}`));
+  count(pattern, where, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return task.spawn(function * task() {
+      const error = self._whereError(where);
+
+      if (!type.isOptional(error)) {
+        throw error;
       }
 
-      return Promise.resolve(v.value);
+      let result = yield self._table.findAll(Object.assign({
+        attributes: [
+          [self._sequelize.fn('COUNT', self._sequelize.col('*')), 'total']
+        ],
+        where: Object.assign({
+          key: plainKeys(self._sequelize)
+        }, self._noExpires ? {} : {
+          expires: {
+            [op.or]: {
+              [op.eq]: null,
+              [op.gt]: new Date()
+            }
+          }
+        }, patternWhere(self._sequelize, pattern, self._valueWhere(where)))
+      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+
+      return Number(result[0].get('total'));
     });
   }
 
   /**
-   * @desc finds whether metadb contains requested key
-   * @param {string} key - key to resource
+   * @desc returns list of items stored in storage, leaving out elements of
+   * lists, hashes and sorted sets
+   * @param {number=} start - offset to start
+   * @param {number=} length - number of items
+   * @param {string=} pattern - wildcard pattern to match against keys
+   * @param {*=} where - optional additions to where clause or a value
+   * filter such as {valuePath: 'user.id', eq: 42}
    * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<boolean>} - whether key is present
+   * @return {Promise.<Array.<*> >} - found rows
    */
-  has(key, transaction) {
-    return this._get(key, transaction).then(v => {
-      if (!v.found) {
-        return Promise.resolve(false);
-      }
+  all(start, length, pattern, where, transaction) {
+    const op = this._op;
+    const error = this._whereError(where);
 
-      return Promise.resolve(true);
-    });
-  }
+    if (!type.isOptional(error)) {
+      return Promise.reject(error);
+    }
 
-  /**
-   * @desc removes item from storage. returns true if item was found
-   * @param {string} key - target key
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<boolean>} - true if item existed
-   */
-  delete(key, transaction) {
-    return this._table.destroy(Object.assign({
+    return this._table.findAll(Object.assign({
       where: Object.assign({
-        key: key
+        key: plainKeys(this._sequelize)
       }, this._noExpires ? {} : {
         expires: {
-          $or: {
-            $eq: null,
-            $gt: new Date()
+          [op.or]: {
+            [op.eq]: null,
+            [op.gt]: new Date()
           }
         }
-      })
+      }, patternWhere(this._sequelize, pattern, this._valueWhere(where)))
+    }, type.isOptional(start) ? null : {
+      offset: start
+    }, type.isOptional(length) ? null : {
+      limit: length
     }, type.isOptional(transaction) ? null : {
       transaction: transaction
-    })).then(num => Promise.resolve(num > 0));
+    }));
   }
 
   /**
-   * @desc sets value at target key
-   * @param {string} key - key to requested value
-   * @param {*} value - any javascript object to store
-   * @param {*=} data - additional optional data to write
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolve when value is created
+   * @desc checks a value filter given instead of a where clause
+   * @param {*=} where - optional where clause or value filter
+   * @return {Error} - error describing invalid filter or null
+   * @private
    */
-  put(key, value, data, transaction) {
-    return this._table.upsert(Object.assign({
-      key: key,
-      value: value
-    }, this._noExpires ? {} : {
-      expires: null
-    }, data), type.isOptional(transaction) ? null : {
-      transaction: transaction
-    });
+  _whereError(where) {
+    if (type.isOptional(where) || !('valuePath' in where)) {
+      return null;
+    }
+
+    // compressed and encrypted values are not JSON text
+    if (!this._numeric || !type.isOptional(this._compression)) {
+      return new Error('value filters are not supported by serializer');
+    }
+
+    return valueFilterError(where);
   }
 
   /**
-   * @desc merge previous value of key into new value
-   * @param {string} key - key to requested value
-   * @param {*} value - any javascript object to store
-   * @param {*=} data - additional optional data to write
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolve when value is created
+   * @desc converts a value filter into a where clause
+   * @param {*=} where - optional where clause or value filter
+   * @return {*} - where clause
+   * @private
    */
-  assign(key, value, data, transaction) {
-    const self = this;
-
-    return task.spawn(function * task() {
-      if (type.isString(value) || type.isNumber(value) ||
-        type.isBoolean(value) || type.isOptional(value)) {
-        return yield self.put(key, value, data, transaction);
-      }
-
-      const current = yield self._get(key, transaction);
+  _valueWhere(where) {
+    const op = this._op;
 
-      if (!current.found || type.isString(current.value) ||
-        type.isNumber(current.value) || type.isBoolean(current.value) ||
-        type.isOptional(current.value)) {
-        return yield self.put(key, value, data, transaction);
-      }
+    if (type.isOptional(where) || !('valuePath' in where)) {
+      return where;
+    }
 
-      return yield self.put(key, Object.assign(current.value,
-        value), data, transaction);
-    });
+    return {
+      [op.and]: [valueCondition(this._sequelize, where)]
+    };
   }
 
   /**
-   * @desc sets expiration time of key
-   * @param {string} key - target key
-   * @param {number} time - time in seconds
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolves when expiration is set
+   * @desc creates an index on value at a path inside stored values, so
+   * value filters on that path do not scan whole table
+   * @param {string} valuePath - dot separated path inside stored values
+   * @param {string=} name - optional name of index, defaults to table name
+   * followed by path
+   * @return {Promise} - resolves when index is created
    */
-  expire(key, time, transaction) {
-    if (this._noExpires) {
-      return Promise.resolve();
+  createValueIndex(valuePath, name) {
+    const error = this._whereError({
+      valuePath: valuePath,
+      eq: null
+    });
+
+    if (!type.isOptional(error)) {
+      return Promise.reject(error);
     }
 
-    let date = new Date();
-    const self = this;
-    date.setSeconds(date.getSeconds() + time);
+    const segments = valuePathSegments(valuePath);
+    const queryInterface = this._sequelize.getQueryInterface();
 
-    return task.spawn(function * task() {
-      let result = yield self._table.update({
-        expires: date
-      }, Object.assign({
-        where: {
-          key: key,
-          expires: {
-            $or: {
-              $eq: null,
-              $gt: new Date()
-            }
-          }
-        }
-      }, type.isOptional(transaction) ? null : {transaction: transaction}));
+    if (type.isOptional(name)) {
+      name = `${this._tableName}_value_${segments.join('_')}`;
+    }
 
-      if (result[0] < 1) {
-        throw new Error(`key not found: ${key}`);
-      }
-    });
+    return this._sequelize.query(
+      `CREATE INDEX ${queryInterface.quoteIdentifier(name)} ON ` +
+      `${queryInterface.quoteTable(this._table.getTableName())} ` +
+      `((${valueExpression(this._sequelize, segments)}))`);
   }
 
   /**
-   * @desc remove expires items from database
+   * @desc lists a page of records ordered by key. unlike all, paging is
+   * done by remembering last visited key so records are neither skipped nor
+   * repeated when other keys change during the walk. elements of lists,
+   * hashes and sorted sets are left out.
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {*=} options - optional cursor returned by previous call, count
+   * of records to fetch, count defaults to 10, and where, additions to where
+   * clause or a value filter
    * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - resolve when expired items are removed
+   * @return {Promise.<*>} - object containing found records and cursor of
+   * next page. cursor is null when there are no more records.
    */
-  gc(transaction) {
-    if (this._noExpires) {
-      return Promise.resolve();
+  scan(pattern, options, transaction) {
+    return this._scan(pattern, options, false, transaction);
+  }
+
+  /**
+   * @desc lists a page of records ordered by key, optionally along with
+   * records of elements of matching lists, hashes and sorted sets
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {*=} options - optional cursor, count and where, which is only
+   * applied if elements are left out
+   * @param {boolean} elements - whether to include records of elements
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - object containing found records and cursor of
+   * next page
+   * @private
+   */
+  _scan(pattern, options, elements, transaction) {
+    const op = this._op;
+
+    options = Object.assign({
+      cursor: null,
+      count: 10,
+      where: null
+    }, options);
+
+    if (type.isOptional(options.count)) {
+      options.count = 10;
     }
 
-    return this._table.destroy(Object.assign({
-      where: {
-        expires: {
-          $lte: new Date()
+    if (!Number.isInteger(options.count) || options.count <= 0) {
+      return Promise.reject(new Error(`invalid count: ${options.count}`));
+    }
+
+    const error = this._whereError(options.where);
+
+    if (!type.isOptional(error)) {
+      return Promise.reject(error);
+    }
+
+    const where = Object.assign({
+      key: elements ? publicKeys(this._sequelize) :
+        plainKeys(this._sequelize)
+    }, this._noExpires ? {} : {
+      expires: {
+        [op.or]: {
+          [op.eq]: null,
+          [op.gt]: new Date()
         }
       }
+    }, elements ? ownedPatternWhere(this._sequelize, pattern) : patternWhere(
+      this._sequelize, pattern, this._valueWhere(options.where)));
+
+    if (!type.isOptional(options.cursor)) {
+      where.key = Object.assign({}, where.key, {
+        [op.gt]: Buffer.from(options.cursor, 'base64').toString('utf8')
+      });
+    }
+
+    return this._table.findAll(Object.assign({
+      where: where,
+      order: [['key', 'ASC']],
+      limit: options.count
     }, type.isOptional(transaction) ? null : {
       transaction: transaction
+    })).then(records => Promise.resolve({
+      cursor: records.length < options.count ? null :
+        Buffer.from(records[records.length - 1].key).toString('base64'),
+      records: records
     }));
   }
 
   /**
-   * @desc start garbage collection monitoring service
-   * @param {string=} schedule - a cron-tab compatible schedule string.
-   * default is every 20 minutes
+   * @desc walks over all records matching a pattern using scan. records are
+   * fetched lazily as they are consumed by for await loop.
+   * @param {string=} pattern - optional wildcard pattern of keys
+   * @param {number=} count - optional number of records fetched per query
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {*} - async iterable of records
    */
-  monitor(schedule) {
-    if (!this._noExpires) {
-      if (!type.isOptional(this._task)) {
-        this._task.destroy();
-      }
-
-      if (type.isOptional(schedule)) {
-        schedule = '*/20 * * * *';
-      }
+  entries(pattern, count, transaction) {
+    return scanIterable(this, pattern, count, transaction);
+  }
 
-      this._task = scheduleGc(weak(this), schedule);
-    }
+  /**
+   * @desc writes unexpired records to a stream as lines of JSON containing
+   * key, value, remaining ttl in seconds and extra columns. elements of
+   * lists, hashes and sorted sets are written as records of their own. types
+   * kept by serializer of instance, such as dates of typed serializer, are
+   * marked by typed so import restores them.
+   * @param {stream.Writable} stream - target stream, which is not ended
+   * @param {*=} options - optional wildcard pattern of keys and count of
+   * records fetched per query (default 100)
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of exported records
+   */
+  export(stream, options, transaction) {
+    return exportRecords(this, this._table, stream, options, transaction);
   }
 
   /**
-   * @desc empty all items in storage
+   * @desc reads records written by export from a stream. records are
+   * written in batches inside a single transaction, so either all of them
+   * are imported or none.
+   * @param {stream.Readable} stream - source stream
+   * @param {*=} options - optional mode, overwrite (default) to replace
+   * existing keys, skip to keep them or fail to reject, and batchSize,
+   * number of records written at once (default 100)
    * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise} - fulfils when all items are cleared
+   * @return {Promise.<*>} - resolves to number of imported and skipped
+   * records. rejects by ValidationError, containing number of line, if a
+   * line is malformed or fails a validator.
    */
-  clear(transaction) {
-    return this._table.truncate(Object.assign({},
-       type.isOptional(transaction) ? null : {transaction: transaction}));
+  import(stream, options, transaction) {
+    return this._import(stream, options, '', transaction);
   }
 
   /**
-   * @desc get total number of key-value pairs stored in meta data
-   * @param {string=} pattern - pattern to search for
-   * @param {*=} where - optional additions to where clause
+   * @desc reads records written by export from a stream
+   * @param {stream.Readable} stream - source stream
+   * @param {*=} options - optional mode and batchSize
+   * @param {string} prefix - prefix added to imported keys
    * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<number>} - total number of items
+   * @return {Promise.<*>} - resolves to number of imported and skipped
+   * records
+   * @private
    */
-  count(pattern, where, transaction) {
+  _import(stream, options, prefix, transaction) {
+    options = Object.assign({
+      mode: 'overwrite',
+      batchSize: 100
+    }, options);
+
+    if (['overwrite', 'skip', 'fail'].indexOf(options.mode) < 0) {
+      return Promise.reject(
+        new Error(`unknown import mode: ${options.mode}`));
+    }
+
     const self = this;
 
-    return task.spawn(function * task() {
-      let result = yield self._table.findAll(Object.assign({
-        attributes: [
-          [self._sequelize.fn('COUNT', self._sequelize.col('*')), 'total']
-        ],
-        where: Object.assign(self._noExpires ? {} : {
-          expires: {
-            $or: {
-              $eq: null,
-              $gt: new Date()
+    return this._transaction(transaction, t => task.spawn(function * task() {
+      const reader = readline.createInterface({
+        input: stream,
+        crlfDelay: Infinity
+      });
+      const lines = reader[Symbol.asyncIterator]();
+      const result = {
+        imported: 0,
+        skipped: 0
+      };
+      let batch = new Map();
+      let number = 0;
+
+      try {
+        for (;;) {
+          const next = yield lines.next();
+
+          if (!next.done) {
+            number++;
+          }
+
+          if (!next.done && next.value.trim().length > 0) {
+            const row = self._importRow(
+              parseLine(next.value, number), prefix, number);
+
+            if (row === null) {
+              result.skipped++;
+            } else {
+              batch.set(row.key, row);
             }
           }
-        }, type.isOptional(pattern) ? null : {
-          key: {
-            $like: pattern.replace(/\?/g, '_').replace(/\*/g, '%')
+
+          if (batch.size >= options.batchSize ||
+            next.done && batch.size > 0) {
+            yield self._importBatch(
+              Array.from(batch.values()), options.mode, result, t);
+            batch = new Map();
           }
-        }, where)
-      }, type.isOptional(transaction) ? null : {transaction: transaction}));
 
-      return Number(result[0].get('total'));
+          if (next.done) {
+            break;
+          }
+        }
+      } finally {
+        reader.close();
+      }
+
+      self._invalidate(null, t);
+      return result;
+    }));
+  }
+
+  /**
+   * @desc converts a line written by export into column values, throwing a
+   * ValidationError if line is malformed or value fails a validator
+   * @param {*} line - parsed line
+   * @param {string} prefix - prefix added to key
+   * @param {number} number - number of line, reported by errors
+   * @return {*} - column values or null if record has expired
+   * @private
+   */
+  _importRow(line, prefix, number) {
+    if (!type.isString(line.key)) {
+      throw new errors.ValidationError(
+        null, null, 'key should be a string', number);
+    }
+
+    const key = `${prefix}${line.key}`;
+
+    if (key.startsWith(ELEMENT_SEPARATOR)) {
+      throw new errors.ValidationError(key, null, 'key is reserved', number);
+    }
+
+    if (!type.isOptional(line.ttl) &&
+      !(type.isNumber(line.ttl) && Number.isFinite(line.ttl))) {
+      throw new errors.ValidationError(
+        key, null, 'ttl should be a number', number);
+    }
+
+    const value = serializers.typed.decode(JSON.stringify({
+      value: line.value,
+      typed: line.typed === true
+    }));
+    // validators apply to keys, not to elements of lists, hashes and sorted
+    // sets, just like when elements are written
+    const invalid = key.indexOf(ELEMENT_SEPARATOR) < 0 ?
+      this._validate(key, value) : null;
+
+    if (!type.isOptional(invalid)) {
+      throw new errors.ValidationError(
+        invalid.key, invalid.pattern, invalid.reason, number);
+    }
+
+    if (!type.isOptional(line.ttl) && line.ttl <= 0) {
+      return null;
+    }
+
+    const row = {};
+
+    for (const attribute of Object.keys(line)) {
+      if (IMPORT_COLUMNS.indexOf(attribute) < 0 &&
+        attribute in this._table.rawAttributes) {
+        row[attribute] = line[attribute];
+      }
+    }
+
+    return Object.assign(row, {
+      key: key,
+      value: value
+    }, this._noExpires ? {} : {
+      expires: type.isOptional(line.ttl) ? null :
+        new Date(Date.now() + line.ttl * 1000)
     });
   }
 
   /**
-   * @desc returns list of items stored in storage
-   * @param {number=} start - offset to start
-   * @param {number=} length - number of items
-   * @param {string=} pattern - wildcard pattern to match against keys
-   * @param {*=} where - optional additions to where clause
-   * @param {*=} transaction - optional sequelize transaction object
-   * @return {Promise.<Array.<*> >} - found rows
+   * @desc writes a batch of imported records
+   * @param {Array.<*>} rows - column values of records
+   * @param {string} mode - overwrite, skip or fail
+   * @param {*} result - counters of imported and skipped records
+   * @param {*} transaction - sequelize transaction object
+   * @return {Promise} - resolves when records are written
+   * @private
    */
-  all(start, length, pattern, where, transaction) {
-    return this._table.findAll(Object.assign({
-      where: Object.assign(this._noExpires ? {} : {
-        expires: {
-          $or: {
-            $eq: null,
-            $gt: new Date()
-          }
-        }
-      }, type.isOptional(pattern) ? null : {
-        key: {
-          $like: pattern.replace(/\?/g, '_').replace(/\*/g, '%')
+  _importBatch(rows, mode, result, transaction) {
+    const op = this._op;
+    const self = this;
+
+    return task.spawn(function * task() {
+      if (mode !== 'overwrite') {
+        const existing = yield self._table.findAll({
+          where: Object.assign({
+            key: {
+              [op.in]: rows.map(row => row.key)
+            }
+          }, self._noExpires ? {} : {
+            expires: {
+              [op.or]: {
+                [op.eq]: null,
+                [op.gt]: new Date()
+              }
+            }
+          }),
+          attributes: ['key'],
+          transaction: transaction
+        });
+
+        if (existing.length > 0 && mode === 'fail') {
+          throw new Error(`key already exists: ${existing[0].key}`);
         }
-      }, where)
-    }, type.isOptional(start) ? null : {
-      offset: start
-    }, type.isOptional(length) ? null : {
-      limit: length
-    }, type.isOptional(transaction) ? null : {
-      transaction: transaction
-    }));
+
+        const found = new Set(existing.map(record => record.key));
+
+        rows = rows.filter(row => !found.has(row.key));
+        result.skipped += found.size;
+      }
+
+      yield self._table.destroy({
+        where: {
+          key: {
+            [op.in]: rows.map(row => row.key)
+          }
+        },
+        transaction: transaction
+      });
+
+      yield self._table.bulkCreate(rows, {
+        transaction: transaction
+      });
+
+      result.imported += rows.length;
+    });
   }
 
   /**
@@ -665,13 +5229,64 @@ module.exports = Object.freeze({
    */
   MetaDB: SequelizeDbMetaInstance,
 
+  /**
+   * @desc error thrown when compare-and-set detects a concurrent modification
+   * @type VersionConflictError
+   */
+  VersionConflictError: errors.VersionConflictError,
+
+  /**
+   * @desc error rejected when a written value fails a registered validator
+   * @type ValidationError
+   */
+  ValidationError: errors.ValidationError,
+
+  /**
+   * @desc error rejected by withLock when lock is held by another owner
+   * @type LockError
+   */
+  LockError: errors.LockError,
+
+  /**
+   * @desc built-in value serializers, json (default) and type preserving
+   * typed serializer
+   * @type {*}
+   */
+  serializers: serializers,
+
+  /**
+   * @desc escapes wildcard characters of a text so it can be used in
+   * patterns to match itself
+   * @param {string} text - text to escape
+   * @return {string} - wildcard pattern
+   * @memberof SequelizeDbMeta
+   */
+  escapePattern: escapePattern,
+
   /**
    * @desc initializes global meta instance
    * @param {Sequelize} sequelize - an instance to sequelize
+   * @param {*=} options - optional options to pass to meta table
+   */
+  init: (sequelize, options) => {
+    _globalInstance = new SequelizeDbMetaInstance(
+      sequelize, null, null, options);
+  },
+
+  /**
+   * @desc creates meta table or adds its missing columns and indexes
+   * @return {Promise.<*>} - resolves to object containing from and to
+   * schema versions, whether table was created and applied migrations
+   * @memberof SequelizeDbMeta
+   */
+  migrate: () => _globalInstance.migrate(),
+
+  /**
+   * @desc migrates meta table once
+   * @return {Promise.<number>} - resolves to current schema version
+   * @memberof SequelizeDbMeta
    */
-  init: sequelize => {
-    _globalInstance = new SequelizeDbMetaInstance(sequelize);
-  },
+  ensureSchema: () => _globalInstance.ensureSchema(),
 
   /**
    * @desc gets value from storage or a default value if key does not exist
@@ -727,6 +5342,311 @@ module.exports = Object.freeze({
   assign: (key, value, data, transaction) =>
     _globalInstance.assign(key, value, data, transaction),
 
+  /**
+   * @desc gets value stored at key along with version of record
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - object containing value and version
+   * @memberof SequelizeDbMeta
+   */
+  getWithVersion: (key, transaction) =>
+    _globalInstance.getWithVersion(key, transaction),
+
+  /**
+   * @desc sets value only if record is still at expected version
+   * @param {string} key - target key
+   * @param {number|null} expectedVersion - expected version of record
+   * @param {*} value - new value to set
+   * @param {*=} data - additional optional data to merge
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new version
+   * @memberof SequelizeDbMeta
+   */
+  compareAndSet: (key, expectedVersion, value, data, transaction) =>
+    _globalInstance.compareAndSet(
+      key, expectedVersion, value, data, transaction),
+
+  /**
+   * @desc atomically adds a number to value stored at key
+   * @param {string} key - target key
+   * @param {number} delta - number to add to value
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value
+   * @memberof SequelizeDbMeta
+   */
+  incrBy: (key, delta, transaction) =>
+    _globalInstance.incrBy(key, delta, transaction),
+
+  /**
+   * @desc atomically increments value stored at key by one
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value
+   * @memberof SequelizeDbMeta
+   */
+  incr: (key, transaction) =>
+    _globalInstance.incr(key, transaction),
+
+  /**
+   * @desc atomically decrements value stored at key by one
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value
+   * @memberof SequelizeDbMeta
+   */
+  decr: (key, transaction) =>
+    _globalInstance.decr(key, transaction),
+
+  /**
+   * @desc adds elements to head of a list
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   * @memberof SequelizeDbMeta
+   */
+  lpush: (key, values, transaction) =>
+    _globalInstance.lpush(key, values, transaction),
+
+  /**
+   * @desc adds elements to tail of a list
+   * @param {string} key - key of list
+   * @param {*} values - element or array of elements to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   * @memberof SequelizeDbMeta
+   */
+  rpush: (key, values, transaction) =>
+    _globalInstance.rpush(key, values, transaction),
+
+  /**
+   * @desc removes and returns first element of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null
+   * @memberof SequelizeDbMeta
+   */
+  lpop: (key, transaction) => _globalInstance.lpop(key, transaction),
+
+  /**
+   * @desc removes and returns last element of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed element or null
+   * @memberof SequelizeDbMeta
+   */
+  rpop: (key, transaction) => _globalInstance.rpop(key, transaction),
+
+  /**
+   * @desc gets number of elements of a list
+   * @param {string} key - key of list
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to length of list
+   * @memberof SequelizeDbMeta
+   */
+  llen: (key, transaction) => _globalInstance.llen(key, transaction),
+
+  /**
+   * @desc gets elements of a list between two indices
+   * @param {string} key - key of list
+   * @param {number=} start - optional index of first element
+   * @param {number=} stop - optional index of last element
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to elements
+   * @memberof SequelizeDbMeta
+   */
+  lrange: (key, start, stop, transaction) =>
+    _globalInstance.lrange(key, start, stop, transaction),
+
+  /**
+   * @desc removes elements of a list outside of two indices
+   * @param {string} key - key of list
+   * @param {number} start - index of first element to keep
+   * @param {number} stop - index of last element to keep
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when list is trimmed
+   * @memberof SequelizeDbMeta
+   */
+  ltrim: (key, start, stop, transaction) =>
+    _globalInstance.ltrim(key, start, stop, transaction),
+
+  /**
+   * @desc sets value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {*} value - any javascript object to store
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - resolves to true if field was created
+   * @memberof SequelizeDbMeta
+   */
+  hset: (key, field, value, transaction) =>
+    _globalInstance.hset(key, field, value, transaction),
+
+  /**
+   * @desc gets value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to value of field or null
+   * @memberof SequelizeDbMeta
+   */
+  hget: (key, field, transaction) =>
+    _globalInstance.hget(key, field, transaction),
+
+  /**
+   * @desc gets values of multiple hash fields
+   * @param {string} key - key of hash
+   * @param {Array.<string>} fields - names of fields
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - map of fields to {value, found} objects
+   * @memberof SequelizeDbMeta
+   */
+  hmget: (key, fields, transaction) =>
+    _globalInstance.hmget(key, fields, transaction),
+
+  /**
+   * @desc gets all fields of a hash
+   * @param {string} key - key of hash
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to object mapping fields to values
+   * @memberof SequelizeDbMeta
+   */
+  hgetall: (key, transaction) => _globalInstance.hgetall(key, transaction),
+
+  /**
+   * @desc removes fields of a hash
+   * @param {string} key - key of hash
+   * @param {string|Array.<string>} fields - name or names of fields
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of removed fields
+   * @memberof SequelizeDbMeta
+   */
+  hdel: (key, fields, transaction) =>
+    _globalInstance.hdel(key, fields, transaction),
+
+  /**
+   * @desc atomically adds a number to value of a hash field
+   * @param {string} key - key of hash
+   * @param {string} field - name of field
+   * @param {number} delta - number to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new value of field
+   * @memberof SequelizeDbMeta
+   */
+  hincrby: (key, field, delta, transaction) =>
+    _globalInstance.hincrby(key, field, delta, transaction),
+
+  /**
+   * @desc adds a member to a sorted set or updates its score
+   * @param {string} key - key of sorted set
+   * @param {number} score - score of member
+   * @param {string} member - member to add
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<boolean>} - resolves to true if member was added
+   * @memberof SequelizeDbMeta
+   */
+  zadd: (key, score, member, transaction) =>
+    _globalInstance.zadd(key, score, member, transaction),
+
+  /**
+   * @desc atomically adds a number to score of a member
+   * @param {string} key - key of sorted set
+   * @param {number} delta - number to add to score
+   * @param {string} member - target member
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to new score of member
+   * @memberof SequelizeDbMeta
+   */
+  zincrby: (key, delta, member, transaction) =>
+    _globalInstance.zincrby(key, delta, member, transaction),
+
+  /**
+   * @desc gets members of a sorted set between two ranks
+   * @param {string} key - key of sorted set
+   * @param {number=} start - optional rank of first member
+   * @param {number=} stop - optional rank of last member
+   * @param {*=} options - optional withScores and reverse
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to members
+   * @memberof SequelizeDbMeta
+   */
+  zrange: (key, start, stop, options, transaction) =>
+    _globalInstance.zrange(key, start, stop, options, transaction),
+
+  /**
+   * @desc gets members of a sorted set with scores between min and max
+   * @param {string} key - key of sorted set
+   * @param {number|null} min - minimum score or null for no lower bound
+   * @param {number|null} max - maximum score or null for no upper bound
+   * @param {*=} options - optional withScores, offset and limit
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<Array.<*> >} - resolves to members
+   * @memberof SequelizeDbMeta
+   */
+  zrangeByScore: (key, min, max, options, transaction) =>
+    _globalInstance.zrangeByScore(key, min, max, options, transaction),
+
+  /**
+   * @desc gets rank of a member in ascending order of scores
+   * @param {string} key - key of sorted set
+   * @param {string} member - target member
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number|null>} - resolves to rank or null
+   * @memberof SequelizeDbMeta
+   */
+  zrank: (key, member, transaction) =>
+    _globalInstance.zrank(key, member, transaction),
+
+  /**
+   * @desc removes members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {string|Array.<string>} members - member or members to remove
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of removed members
+   * @memberof SequelizeDbMeta
+   */
+  zrem: (key, members, transaction) =>
+    _globalInstance.zrem(key, members, transaction),
+
+  /**
+   * @desc gets number of members of a sorted set
+   * @param {string} key - key of sorted set
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of members
+   * @memberof SequelizeDbMeta
+   */
+  zcard: (key, transaction) => _globalInstance.zcard(key, transaction),
+
+  /**
+   * @desc gets values stored at multiple keys in a single query
+   * @param {Array.<string>} keys - target keys
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - map of keys to {value, found} objects
+   * @memberof SequelizeDbMeta
+   */
+  mget: (keys, transaction) =>
+    _globalInstance.mget(keys, transaction),
+
+  /**
+   * @desc sets multiple values in storage at once
+   * @param {*} entries - plain object, Map or array of [key, value] pairs
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when values are set
+   * @memberof SequelizeDbMeta
+   */
+  mput: (entries, transaction) =>
+    _globalInstance.mput(entries, transaction),
+
+  /**
+   * @desc deletes multiple keys at once
+   * @param {Array.<string>} keys - keys to delete
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of deleted keys
+   * @memberof SequelizeDbMeta
+   */
+  mdelete: (keys, transaction) =>
+    _globalInstance.mdelete(keys, transaction),
+
   /**
    * @desc clears items in storage
    * @param {*=} transaction - optional sequelize transaction object
@@ -736,10 +5656,49 @@ module.exports = Object.freeze({
   clear: transaction =>
     _globalInstance.clear(transaction),
 
+  /**
+   * @desc deletes all keys matching a wildcard pattern
+   * @param {string} pattern - wildcard pattern string
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - number of deleted items
+   * @memberof SequelizeDbMeta
+   */
+  deletePattern: (pattern, transaction) =>
+    _globalInstance.deletePattern(pattern, transaction),
+
+  /**
+   * @desc registers a validator for values of keys matching a pattern
+   * @param {string} pattern - wildcard pattern string
+   * @param {function|*} validator - validator function or JSON Schema
+   * @memberof SequelizeDbMeta
+   */
+  addValidator: (pattern, validator) => {
+    _globalInstance.addValidator(pattern, validator);
+  },
+
+  /**
+   * @desc removes validator registered for a pattern
+   * @param {string} pattern - wildcard pattern string
+   * @return {boolean} - true if a validator was removed
+   * @memberof SequelizeDbMeta
+   */
+  removeValidator: pattern => _globalInstance.removeValidator(pattern),
+
+  /**
+   * @desc re-encrypts stored values using current encryption key
+   * @param {string=} pattern - optional wildcard pattern string
+   * @param {number=} batchSize - optional number of rows per batch
+   * @return {Promise.<number>} - number of re-encrypted items
+   * @memberof SequelizeDbMeta
+   */
+  rotateKeys: (pattern, batchSize) =>
+    _globalInstance.rotateKeys(pattern, batchSize),
+
   /**
    * @desc count number of items in storage
    * @param {string=} pattern - optional wildcard pattern string
-   * @param {*=} where - optional additions to where clause
+   * @param {*=} where - optional additions to where clause or a value
+   * filter such as {valuePath: 'user.id', eq: 42}
    * @param {*=} transaction - optional sequelize transaction object
    * @return {Promise.<number>} - number of items
    * @memberof SequelizeDbMeta
@@ -747,12 +5706,23 @@ module.exports = Object.freeze({
   count: (pattern, where, transaction) =>
     _globalInstance.count(pattern, where, transaction),
 
+  /**
+   * @desc creates an index on value at a path inside stored values
+   * @param {string} valuePath - dot separated path inside stored values
+   * @param {string=} name - optional name of index
+   * @return {Promise} - resolves when index is created
+   * @memberof SequelizeDbMeta
+   */
+  createValueIndex: (valuePath, name) =>
+    _globalInstance.createValueIndex(valuePath, name),
+
   /**
    * @desc list items in storage
    * @param {number=} start - offset to start listing
    * @param {number=} length - number of items to look for
    * @param {string=} pattern - optional wildcard pattern string
-   * @param {*=} where - optional additions to where clause
+   * @param {*=} where - optional additions to where clause or a value
+   * filter such as {valuePath: 'user.id', eq: 42}
    * @param {*=} transaction - optional sequelize transaction object
    * @return {Promise.<Array.<*> >} - items
    * @memberof SequelizeDbMeta
@@ -760,6 +5730,52 @@ module.exports = Object.freeze({
   all: (start, length, pattern, where, transaction) =>
     _globalInstance.all(start, length, pattern, where, transaction),
 
+  /**
+   * @desc list a page of items ordered by key using an opaque cursor
+   * @param {string=} pattern - optional wildcard pattern string
+   * @param {*=} options - optional cursor and count of items to fetch
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - object containing items and next cursor
+   * @memberof SequelizeDbMeta
+   */
+  scan: (pattern, options, transaction) =>
+    _globalInstance.scan(pattern, options, transaction),
+
+  /**
+   * @desc walk over all items matching a pattern
+   * @param {string=} pattern - optional wildcard pattern string
+   * @param {number=} count - optional number of items fetched per query
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {*} - async iterable of items
+   * @memberof SequelizeDbMeta
+   */
+  entries: (pattern, count, transaction) =>
+    _globalInstance.entries(pattern, count, transaction),
+
+  /**
+   * @desc writes unexpired items to a stream as lines of JSON
+   * @param {stream.Writable} stream - target stream
+   * @param {*=} options - optional wildcard pattern and count per query
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number>} - resolves to number of exported items
+   * @memberof SequelizeDbMeta
+   */
+  export: (stream, options, transaction) =>
+    _globalInstance.export(stream, options, transaction),
+
+  /**
+   * @desc reads items written by export from a stream
+   * @param {stream.Readable} stream - source stream
+   * @param {*=} options - optional mode, overwrite, skip or fail, and
+   * batchSize
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to number of imported and skipped
+   * items
+   * @memberof SequelizeDbMeta
+   */
+  import: (stream, options, transaction) =>
+    _globalInstance.import(stream, options, transaction),
+
   /**
    * @desc sets expiraton time on key
    * @param {string} key - target key
@@ -771,6 +5787,38 @@ module.exports = Object.freeze({
   expire: (key, time, transaction) =>
     _globalInstance.expire(key, time, transaction),
 
+  /**
+   * @desc sets expiration time on key to an absolute date
+   * @param {string} key - target key
+   * @param {Date|number} date - date or timestamp at which key expires
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is set
+   * @memberof SequelizeDbMeta
+   */
+  expireAt: (key, date, transaction) =>
+    _globalInstance.expireAt(key, date, transaction),
+
+  /**
+   * @desc removes expiration of key
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise} - resolves when expiration is removed
+   * @memberof SequelizeDbMeta
+   */
+  persist: (key, transaction) =>
+    _globalInstance.persist(key, transaction),
+
+  /**
+   * @desc gets remaining lifetime of key in seconds
+   * @param {string} key - target key
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<number|null>} - remaining seconds or null if key does
+   * not expire
+   * @memberof SequelizeDbMeta
+   */
+  ttl: (key, transaction) =>
+    _globalInstance.ttl(key, transaction),
+
   /**
    * @desc shows whether a key exists
    * @param {string} key - key to look for
@@ -789,22 +5837,91 @@ module.exports = Object.freeze({
   delete: (key, transaction) =>
     _globalInstance.delete(key, transaction),
 
+  /**
+   * @desc acquires a lock backed by a record with expiring lease
+   * @param {string} name - name of lock
+   * @param {*=} options - optional ttl in seconds and owner of lock
+   * @return {Promise.<*>} - resolves to lock or null if lock is held
+   * @memberof SequelizeDbMeta
+   */
+  acquireLock: (name, options) => _globalInstance.acquireLock(name, options),
+
+  /**
+   * @desc extends lease of a lock held by owner
+   * @param {string} name - name of lock
+   * @param {*} options - owner and optional ttl of lock
+   * @return {Promise.<*>} - resolves to renewed lock or null if lock is no
+   * longer held by owner
+   * @memberof SequelizeDbMeta
+   */
+  renewLock: (name, options) => _globalInstance.renewLock(name, options),
+
+  /**
+   * @desc releases a lock held by owner
+   * @param {string} name - name of lock
+   * @param {*} options - owner of lock
+   * @return {Promise.<boolean>} - resolves to true if lock was released
+   * @memberof SequelizeDbMeta
+   */
+  releaseLock: (name, options) => _globalInstance.releaseLock(name, options),
+
+  /**
+   * @desc runs a function while holding a lock
+   * @param {string} name - name of lock
+   * @param {function} fn - function receiving lock
+   * @param {*=} options - optional ttl and owner of lock
+   * @return {Promise.<*>} - resolves to result of function
+   * @memberof SequelizeDbMeta
+   */
+  withLock: (name, fn, options) => _globalInstance.withLock(name, fn, options),
+
+  /**
+   * @desc creates a rate limiter storing its counters in meta table
+   * @param {*} options - limit, number of units allowed per window, window
+   * in seconds, optional mode, either fixed (default) or bucket, and
+   * optional prefix added to ids
+   * @return {RateLimiter} - rate limiter providing consume
+   * @memberof SequelizeDbMeta
+   */
+  rateLimiter: options => _globalInstance.rateLimiter(options),
+
   /**
    * @desc re-schedule expired items clearer cron daemon
-   * @param {string=} schedule - a node-cron compatible cron tab spec.
-   * default is every 20 minutes
+   * @param {(string|number)=} schedule - a cron tab spec with optional
+   * seconds field or an interval in seconds. default is every 20 minutes
+   * @param {*=} options - optional leader, either true or name of lock, to
+   * run gc only in elected leader, along with batchSize, maxDuration and
+   * pattern passed to gc
    * @memberof SequelizeDbMeta
    */
-  monitor: schedule => {
-    _globalInstance.monitor(schedule);
+  monitor: (schedule, options) => {
+    _globalInstance.monitor(schedule, options);
   },
 
   /**
-   * @desc collects garbage and removes expired items
-   * @return {Promise} - resolves when gc is done
+   * @desc stops expired items clearer daemon
+   * @return {Promise} - resolves once daemon is stopped
+   * @memberof SequelizeDbMeta
+   */
+  stopMonitor: () => _globalInstance.stopMonitor(),
+
+  /**
+   * @desc stops expired items clearer daemon and drops cached values
+   * @return {Promise} - resolves once instance is closed
+   * @memberof SequelizeDbMeta
+   */
+  close: () => _globalInstance.close(),
+
+  /**
+   * @desc collects garbage and removes expired items in batches
+   * @param {*=} options - optional batchSize, maxDuration, maxKeys and
+   * pattern. a transaction is accepted instead.
+   * @param {*=} transaction - optional sequelize transaction object
+   * @return {Promise.<*>} - resolves to removed, keys, batches and
+   * durationMs
    * @memberof SequelizeDbMeta
    */
-  gc: () => _globalInstance.gc(),
+  gc: (options, transaction) => _globalInstance.gc(options, transaction),
 
   /**
    * @desc gets table name used for storing meta data
@@ -813,6 +5930,28 @@ module.exports = Object.freeze({
    */
   tableName: () => _globalInstance.tableName,
 
+  /**
+   * @desc gets hit and miss statistics of cache
+   * @return {*} - cache statistics or null if cache is not enabled
+   * @memberof SequelizeDbMeta
+   */
+  cacheStats: () => _globalInstance.cacheStats,
+
+  /**
+   * @desc gets statistics of last gc run by expired items clearer daemon
+   * @return {*} - gc statistics or null if gc has not run yet
+   * @memberof SequelizeDbMeta
+   */
+  monitorStats: () => _globalInstance.monitorStats,
+
+  /**
+   * @desc gets number of compressed values and bytes saved by compression
+   * @return {*} - compression statistics or null if compression is not
+   * enabled
+   * @memberof SequelizeDbMeta
+   */
+  compressionStats: () => _globalInstance.compressionStats,
+
   /**
    * @desc sets prefix for keys accessed by meta database
    * @param {string} newPrefix - prefix to set on keys
@@ -828,5 +5967,5 @@ module.exports = Object.freeze({
    * @memberof SequelizeDbMeta
    * @private
    */
-  __getDestroyCounter: () => __destroyCounter
+  __getDestroyCounter: () => Monitor.destroyed
 });
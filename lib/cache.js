@@ -0,0 +1,132 @@
+"use strict";
+
+const type = require('xcane').type;
+
+/**
+ * @desc in-process least recently used cache with bounded number of entries
+ * and bounded age of each entry
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class LruCache {
+  /**
+   * @desc creates a new instance of LruCache
+   * @param {*=} options - optional max number of entries, a positive
+   * integer (default 1000), and maxAge of entries in seconds (default
+   * unlimited)
+   */
+  constructor(options) {
+    options = Object.assign({
+      max: 1000,
+      maxAge: null
+    }, options);
+
+    if (!Number.isInteger(options.max) || options.max <= 0) {
+      throw new Error(`invalid cache max: ${options.max}`);
+    }
+
+    this._max = options.max;
+    this._maxAge = options.maxAge;
+    this._entries = new Map();
+    this._generation = 0;
+    this._hits = 0;
+    this._misses = 0;
+  }
+
+  /**
+   * @desc a number that changes whenever an entry is invalidated. values
+   * read from database before an invalidation should not be cached.
+   * @return {number} - current generation
+   */
+  get generation() {
+    return this._generation;
+  }
+
+  /**
+   * @desc hit and miss statistics of cache
+   * @return {*} - object containing hits, misses and size of cache
+   */
+  get stats() {
+    return {
+      hits: this._hits,
+      misses: this._misses,
+      size: this._entries.size
+    };
+  }
+
+  /**
+   * @desc gets an unexpired entry and marks it as recently used
+   * @param {string} key - key of entry
+   * @return {*} - cached value or undefined if not found
+   */
+  get(key) {
+    const entry = this._entries.get(key);
+
+    if (type.isUndefined(entry)) {
+      this._misses++;
+      return undefined;
+    }
+
+    this._entries.delete(key);
+
+    if (!type.isOptional(entry.deadline) && entry.deadline <= Date.now()) {
+      this._misses++;
+      return undefined;
+    }
+
+    this._entries.set(key, entry);
+    this._hits++;
+    return entry.value;
+  }
+
+  /**
+   * @desc adds an entry to cache, evicting least recently used entries if
+   * cache is full
+   * @param {string} key - key of entry
+   * @param {*} value - value to cache
+   * @param {Date=} expires - optional date after which entry is invalid
+   * @param {number=} generation - optional generation at which value was
+   * read, value is discarded if an invalidation has happened since
+   */
+  set(key, value, expires, generation) {
+    if (!type.isOptional(generation) && generation !== this._generation) {
+      return;
+    }
+
+    let deadline = type.isOptional(this._maxAge) ? null :
+      Date.now() + this._maxAge * 1000;
+
+    if (!type.isOptional(expires) &&
+      (type.isOptional(deadline) || expires.getTime() < deadline)) {
+      deadline = expires.getTime();
+    }
+
+    this._entries.delete(key);
+    this._entries.set(key, {
+      value: value,
+      deadline: deadline
+    });
+
+    while (this._entries.size > this._max) {
+      this._entries.delete(this._entries.keys().next().value);
+    }
+  }
+
+  /**
+   * @desc removes an entry from cache
+   * @param {string} key - key of entry
+   */
+  delete(key) {
+    this._generation++;
+    this._entries.delete(key);
+  }
+
+  /**
+   * @desc removes all entries from cache
+   */
+  clear() {
+    this._generation++;
+    this._entries.clear();
+  }
+}
+
+module.exports = LruCache;
@@ -0,0 +1,427 @@
+"use strict";
+
+const fs = require('fs');
+const task = require('xcane').task;
+const type = require('xcane').type;
+const serializers = require('./serializers');
+
+/**
+ * @desc help text printed on usage errors
+ */
+const USAGE = `usage: sequelize-db-meta --url <url> [--table <name>] [--json] \
+<command> [arguments]
+
+commands:
+  get <key>                       prints value of key
+  put <key> <json> [--ttl <s>]    stores a JSON value at key
+  del <key>                       deletes key
+  ls [pattern] [--count <n>] [--cursor <cursor>]
+                                  lists a page of keys
+  count [pattern]                 counts keys
+  ttl <key>                       prints remaining lifetime of key
+  expire <key> <seconds>          sets lifetime of key
+  gc [pattern] [--batch-size <n>] [--max-duration <ms>]
+                                  removes expired keys in batches
+  export [file] [--pattern <p>]   writes records as lines of JSON
+  import [file] [--mode <mode>]   reads records written by export, mode is
+                                  overwrite (default), skip or fail
+`;
+
+/**
+ * @desc options which do not take a value
+ */
+const FLAGS = ['json', 'help'];
+
+/**
+ * @desc error caused by invalid command line, usage is printed along with it
+ */
+class UsageError extends Error {
+  /**
+   * @desc creates a new instance of UsageError
+   * @param {string} message - description of error
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * @desc splits command line into positional arguments and options
+ * @param {Array.<string>} argv - command line arguments
+ * @return {*} - object containing positional and options
+ */
+function parseArguments(argv) {
+  const result = {
+    positional: [],
+    options: {}
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      result.positional.push(argv[i]);
+      continue;
+    }
+
+    const separator = argv[i].indexOf('=');
+    const name = argv[i].substring(2,
+      separator < 0 ? argv[i].length : separator);
+
+    if (separator >= 0) {
+      result.options[name] = argv[i].substr(separator + 1);
+    } else if (FLAGS.indexOf(name) >= 0) {
+      result.options[name] = true;
+    } else if (i + 1 < argv.length) {
+      result.options[name] = argv[++i];
+    } else {
+      throw new UsageError(`missing value of option: --${name}`);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * @desc parses a numeric command line argument
+ * @param {string} text - argument text
+ * @param {string} name - name of argument used in error message
+ * @return {number} - parsed number
+ */
+function parseNumber(text, name) {
+  const result = Number(text);
+
+  if (type.isOptional(text) || text.length === 0 || isNaN(result)) {
+    throw new UsageError(`${name} should be a number: ${text}`);
+  }
+
+  return result;
+}
+
+/**
+ * @desc parses a JSON command line argument
+ * @param {string} text - argument text
+ * @return {*} - parsed value
+ */
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new UsageError(`invalid JSON value: ${err.message}`);
+  }
+}
+
+/**
+ * @desc parses a numeric option unless it is missing
+ * @param {*} options - parsed options
+ * @param {string} name - name of option
+ * @return {number} - parsed number or undefined if option is missing
+ */
+function numberOption(options, name) {
+  return type.isUndefined(options[name]) ? undefined :
+    parseNumber(options[name], name);
+}
+
+/**
+ * @desc converts a value into a line written by export
+ * @param {string} key - key of value
+ * @param {*} value - any javascript value
+ * @return {*} - JSON compatible object containing key and value
+ */
+function valueLine(key, value) {
+  return Object.assign({
+    key: key
+  }, JSON.parse(serializers.typed.encode(value)));
+}
+
+/**
+ * @desc waits for a stream to finish or fail
+ * @param {stream.Stream} stream - target stream
+ * @param {string} event - event emitted when stream is done
+ * @return {Promise} - resolves once event is emitted
+ */
+function waitFor(stream, event) {
+  return new Promise((resolve, reject) => {
+    stream.once(event, resolve);
+    stream.once('error', reject);
+  });
+}
+
+/**
+ * @desc commands of tool along with number of positional arguments they
+ * accept and an optional check of arguments run before connecting to
+ * database. every command resolves to result printed in json mode and text
+ * printed otherwise, null text prints nothing.
+ */
+const COMMANDS = Object.freeze({
+  get: {
+    args: [1, 1],
+    run: (storage, args) => storage.get(args[0]).then(value => ({
+      json: valueLine(args[0], value),
+      text: JSON.stringify(value, null, 2)
+    }))
+  },
+
+  put: {
+    args: [2, 2],
+    check: (args, options) => {
+      parseJson(args[1]);
+      numberOption(options, 'ttl');
+    },
+    run: (storage, args, options) => storage.put(args[0], parseJson(args[1]),
+      type.isUndefined(options.ttl) ? null : {
+        ttl: numberOption(options, 'ttl')
+      }).then(() => ({
+        json: {
+          key: args[0]
+        },
+        text: null
+      }))
+  },
+
+  del: {
+    args: [1, 1],
+    run: (storage, args) => storage.delete(args[0]).then(deleted => ({
+      json: {
+        key: args[0],
+        deleted: deleted
+      },
+      text: deleted ? 'deleted' : 'not found'
+    }))
+  },
+
+  ls: {
+    args: [0, 1],
+    check: (args, options) => {
+      numberOption(options, 'count');
+    },
+    run: (storage, args, options, io) => storage.scan(args[0], {
+      cursor: options.cursor,
+      count: type.isUndefined(options.count) ? 20 :
+        numberOption(options, 'count')
+    }).then(page => {
+      const keys = page.records.map(record => record.key);
+
+      if (!options.json && !type.isOptional(page.cursor)) {
+        io.stderr.write(`next page: --cursor ${page.cursor}\n`);
+      }
+
+      return {
+        json: {
+          keys: keys,
+          cursor: page.cursor
+        },
+        text: keys.length > 0 ? keys.join('\n') : null
+      };
+    })
+  },
+
+  count: {
+    args: [0, 1],
+    run: (storage, args) => storage.count(args[0]).then(count => ({
+      json: {
+        count: count
+      },
+      text: `${count}`
+    }))
+  },
+
+  ttl: {
+    args: [1, 1],
+    run: (storage, args) => storage.ttl(args[0]).then(ttl => ({
+      json: {
+        key: args[0],
+        ttl: ttl
+      },
+      text: type.isOptional(ttl) ? 'does not expire' : `${ttl}`
+    }))
+  },
+
+  expire: {
+    args: [2, 2],
+    check: args => {
+      parseNumber(args[1], 'seconds');
+    },
+    run: (storage, args) => storage.expire(
+      args[0], parseNumber(args[1], 'seconds')).then(() => ({
+        json: {
+          key: args[0]
+        },
+        text: null
+      }))
+  },
+
+  gc: {
+    args: [0, 1],
+    check: (args, options) => {
+      numberOption(options, 'batch-size');
+      numberOption(options, 'max-duration');
+    },
+    run: (storage, args, options) => storage.gc({
+      pattern: args[0],
+      batchSize: numberOption(options, 'batch-size'),
+      maxDuration: numberOption(options, 'max-duration')
+    }).then(stats => ({
+      json: stats,
+      text: `${stats.removed}`
+    }))
+  },
+
+  export: {
+    args: [0, 1],
+    run: (storage, args, options, io) => task.spawn(function * task() {
+      const output = type.isUndefined(args[0]) ? io.stdout :
+        fs.createWriteStream(args[0]);
+      const exported = yield storage.export(output, {
+        pattern: options.pattern
+      });
+
+      const summary = {
+        json: {
+          exported: exported
+        },
+        text: `exported ${exported}`
+      };
+
+      if (output !== io.stdout) {
+        output.end();
+        yield waitFor(output, 'finish');
+        return summary;
+      }
+
+      // records go to stdout when no file is given, so summary goes to
+      // stderr and output can be piped into import
+      io.stderr.write(`${options.json ? JSON.stringify(summary.json) :
+        summary.text}\n`);
+      return null;
+    })
+  },
+
+  import: {
+    args: [0, 1],
+    run: (storage, args, options, io) => {
+      const input = type.isUndefined(args[0]) ? io.stdin :
+        fs.createReadStream(args[0]);
+
+      return storage.import(input, type.isUndefined(options.mode) ? null : {
+        mode: options.mode
+      }).then(result => ({
+        json: result,
+        text: `imported ${result.imported}, skipped ${result.skipped}`
+      }));
+    }
+  }
+});
+
+/**
+ * @desc creates a meta instance matching layout of an existing table, so
+ * expires, version and score columns are used if table has them. values are
+ * decoded by typed serializer and compressed values are decompressed.
+ * @param {Sequelize} sequelize - an instance of sequelize
+ * @param {string} table - name of meta table as given to library, which
+ * sequelize turns into name of table
+ * @return {Promise.<SequelizeDbMetaInstance>} - resolves to meta instance
+ */
+function openStorage(sequelize, table) {
+  const MetaDB = require('../index').MetaDB;
+  const name = new MetaDB(sequelize, table).schema.getTableName();
+
+  return sequelize.getQueryInterface().describeTable(name).then(layout =>
+    new MetaDB(sequelize, table, null, {
+      expires: 'expires' in layout,
+      version: 'version' in layout,
+      score: 'score' in layout,
+      serializer: serializers.typed,
+      // decompresses stored values without compressing written ones
+      compression: {
+        threshold: Infinity
+      }
+    }), () => Promise.reject(new Error(`table not found: ${table}`)));
+}
+
+/**
+ * @desc runs command line tool
+ * @param {Array.<string>} argv - command line arguments without node and
+ * script path
+ * @param {*} io - object containing stdin, stdout and stderr streams and
+ * optional sequelize, an instance used instead of connecting to url
+ * @return {Promise.<number>} - resolves to exit code
+ */
+function run(argv, io) {
+  let sequelize = null;
+
+  return task.spawn(function * task() {
+    const parsed = parseArguments(argv);
+    const options = parsed.options;
+
+    if (options.help) {
+      io.stdout.write(USAGE);
+      return 0;
+    }
+
+    const name = parsed.positional[0];
+    const args = parsed.positional.slice(1);
+    const command = COMMANDS[name];
+
+    if (type.isOptional(name) ||
+      !Object.prototype.hasOwnProperty.call(COMMANDS, name)) {
+      throw new UsageError(type.isOptional(name) ? 'missing command' :
+        `unknown command: ${name}`);
+    }
+
+    if (args.length < command.args[0] || args.length > command.args[1]) {
+      throw new UsageError(`invalid number of arguments for ${name}`);
+    }
+
+    if (!type.isUndefined(command.check)) {
+      command.check(args, options);
+    }
+
+    if (type.isOptional(io.sequelize)) {
+      if (type.isUndefined(options.url)) {
+        throw new UsageError('missing option: --url');
+      }
+
+      // sequelize is a peer dependency, along with driver of dialect in url
+      const Sequelize = require('sequelize');
+
+      sequelize = new Sequelize(options.url, {
+        logging: false
+      });
+    }
+
+    const storage = yield openStorage(io.sequelize || sequelize,
+      options.table || '__metadb');
+    const result = yield command.run(storage, args, options, io);
+
+    if (type.isOptional(result)) {
+      return 0;
+    }
+
+    if (options.json) {
+      io.stdout.write(`${JSON.stringify(result.json)}\n`);
+    } else if (!type.isOptional(result.text)) {
+      io.stdout.write(`${result.text}\n`);
+    }
+
+    return 0;
+  }).catch(err => {
+    io.stderr.write(`error: ${err.message}\n`);
+
+    if (err instanceof UsageError) {
+      io.stderr.write(USAGE);
+      return 2;
+    }
+
+    return 1;
+  }).then(code => {
+    if (!type.isOptional(sequelize)) {
+      sequelize.close();
+    }
+
+    return code;
+  });
+}
+
+module.exports = {
+  run: run
+};
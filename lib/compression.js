@@ -0,0 +1,107 @@
+"use strict";
+
+const zlib = require('zlib');
+const type = require('xcane').type;
+
+/**
+ * @desc markers prepended to compressed values along with functions
+ * compressing and decompressing buffers
+ */
+const ALGORITHMS = Object.freeze({
+  gzip: {
+    marker: '$gz:',
+    compress: zlib.gzipSync,
+    decompress: zlib.gunzipSync
+  },
+  brotli: {
+    marker: '$br:',
+    compress: zlib.brotliCompressSync,
+    decompress: zlib.brotliDecompressSync
+  }
+});
+
+/**
+ * @desc wraps a serializer so encoded values larger than a threshold are
+ * compressed and stored as base64 text following a marker. values which
+ * are not compressed are decoded by wrapped serializer.
+ * @param {*} serializer - serializer to wrap
+ * @param {*=} options - optional threshold, minimum size of encoded text in
+ * bytes to compress (default 1024), and algorithm, either gzip (default) or
+ * brotli
+ * @return {*} - serializer which compresses values, its stats property
+ * counts compressed and uncompressed values and bytes saved
+ */
+function compressed(serializer, options) {
+  options = Object.assign({
+    threshold: 1024,
+    algorithm: 'gzip'
+  }, options);
+
+  const algorithm = ALGORITHMS[options.algorithm];
+
+  if (type.isUndefined(algorithm) ||
+    type.isUndefined(algorithm.compress)) {
+    throw new Error(`unsupported compression algorithm: ${options.algorithm}`);
+  }
+
+  const stats = {
+    compressed: 0,
+    uncompressed: 0,
+    bytesSaved: 0
+  };
+
+  return Object.freeze({
+    /**
+     * @desc statistics of values encoded so far
+     * @return {*} - object containing number of compressed and
+     * uncompressed values and total bytes saved by compression
+     */
+    get stats() {
+      return Object.assign({}, stats);
+    },
+
+    /**
+     * @desc encodes a javascript value, compressing it if large enough
+     * @param {*} value - any javascript value
+     * @return {string} - encoded text
+     */
+    encode: value => {
+      const text = serializer.encode(value);
+      const size = Buffer.byteLength(text);
+
+      if (size >= options.threshold) {
+        const result = algorithm.marker +
+          algorithm.compress(Buffer.from(text)).toString('base64');
+
+        // base64 could make incompressible values larger than original
+        if (result.length < size) {
+          stats.compressed++;
+          stats.bytesSaved += size - result.length;
+          return result;
+        }
+      }
+
+      stats.uncompressed++;
+      return text;
+    },
+
+    /**
+     * @desc decompresses and decodes text back into javascript value
+     * @param {string} text - compressed or plain text
+     * @return {*} - decoded javascript value
+     */
+    decode: text => {
+      for (const name of Object.keys(ALGORITHMS)) {
+        if (text.startsWith(ALGORITHMS[name].marker)) {
+          return serializer.decode(ALGORITHMS[name].decompress(
+            Buffer.from(text.substr(ALGORITHMS[name].marker.length),
+              'base64')).toString('utf8'));
+        }
+      }
+
+      return serializer.decode(text);
+    }
+  });
+}
+
+module.exports = compressed;
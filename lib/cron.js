@@ -0,0 +1,184 @@
+"use strict";
+
+/**
+ * @desc fields of a cron expression along with their ranges and names.
+ * seconds field is optional.
+ */
+const FIELDS = Object.freeze([{
+  name: 'second',
+  min: 0,
+  max: 59
+}, {
+  name: 'minute',
+  min: 0,
+  max: 59
+}, {
+  name: 'hour',
+  min: 0,
+  max: 23
+}, {
+  name: 'day',
+  min: 1,
+  max: 31
+}, {
+  name: 'month',
+  min: 1,
+  max: 12,
+  names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep',
+    'oct', 'nov', 'dec']
+}, {
+  name: 'weekday',
+  min: 0,
+  max: 7,
+  names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+}]);
+
+/**
+ * @desc number of days searched for next run before giving up, schedules
+ * such as 30th of february never run
+ */
+const SEARCH_DAYS = 366 * 5;
+
+/**
+ * @desc parses a value of a cron field
+ * @param {string} text - number or name of value
+ * @param {*} field - field being parsed
+ * @return {number} - parsed value
+ */
+function parseValue(text, field) {
+  const index = (field.names || []).indexOf(text.toLowerCase());
+  const value = index < 0 ? Number(text) : index + field.min;
+
+  if (!/^\d+$/.test(text) && index < 0 || value < field.min ||
+    value > field.max) {
+    throw new Error(`invalid ${field.name} in cron expression: ${text}`);
+  }
+
+  return value;
+}
+
+/**
+ * @desc parses a field of a cron expression into set of matching values
+ * @param {string} text - text of field, a list of values, ranges such as 1-5
+ * or * and optional steps following ranges
+ * @param {*} field - field being parsed
+ * @return {*} - object containing values and any, whether field is *
+ */
+function parseField(text, field) {
+  const values = new Set();
+
+  for (const part of text.split(',')) {
+    const match = /^(\*|[^-/]+(?:-[^-/]+)?)(?:\/(\d+))?$/.exec(part);
+
+    if (match === null || match[2] === '0') {
+      throw new Error(`invalid ${field.name} in cron expression: ${part}`);
+    }
+
+    const range = match[1] === '*' ? [field.min, field.max] :
+      match[1].split('-').map(value => parseValue(value, field));
+    const step = match[2] ? Number(match[2]) : 1;
+    let to = range[range.length - 1];
+
+    // a single value with step such as 5/15 runs until end of range
+    if (range.length === 1 && match[2]) {
+      to = field.max;
+    }
+
+    if (range[0] > to) {
+      throw new Error(`invalid ${field.name} in cron expression: ${part}`);
+    }
+
+    for (let value = range[0]; value <= to; value += step) {
+      values.add(field.name === 'weekday' ? value % 7 : value);
+    }
+  }
+
+  return {
+    values: values,
+    any: text === '*'
+  };
+}
+
+/**
+ * @desc parses a cron expression of five fields, minute, hour, day of month,
+ * month and day of week, or six fields starting with second
+ * @param {string} expression - cron expression
+ * @return {*} - parsed expression
+ */
+function parse(expression) {
+  const parts = expression.trim().split(/\s+/);
+
+  if (parts.length !== 5 && parts.length !== 6) {
+    throw new Error(`invalid cron expression: ${expression}`);
+  }
+
+  if (parts.length === 5) {
+    parts.unshift('0');
+  }
+
+  const result = {};
+
+  FIELDS.forEach((field, index) => {
+    result[field.name] = parseField(parts[index], field);
+  });
+
+  return result;
+}
+
+/**
+ * @desc checks whether day of a date matches a parsed expression. like
+ * other cron implementations a day matches either restricted field if both
+ * day of month and day of week are restricted.
+ * @param {*} cron - parsed expression
+ * @param {Date} date - date to check
+ * @return {boolean} - true if day matches
+ */
+function matchesDay(cron, date) {
+  const day = cron.day.values.has(date.getDate());
+  const weekday = cron.weekday.values.has(date.getDay());
+
+  if (cron.day.any || cron.weekday.any) {
+    return day && weekday;
+  }
+
+  return day || weekday;
+}
+
+/**
+ * @desc finds next time after a date at which a parsed expression runs
+ * @param {*} cron - parsed expression
+ * @param {Date} after - date to search after
+ * @return {Date} - next run time or null if expression never runs
+ */
+function next(cron, after) {
+  const date = new Date(after.getTime());
+  const limit = after.getTime() + SEARCH_DAYS * 24 * 3600 * 1000;
+
+  date.setMilliseconds(0);
+  date.setSeconds(date.getSeconds() + 1);
+
+  while (date.getTime() <= limit) {
+    if (!cron.month.values.has(date.getMonth() + 1)) {
+      date.setMonth(date.getMonth() + 1, 1);
+      date.setHours(0, 0, 0);
+    } else if (!matchesDay(cron, date)) {
+      date.setDate(date.getDate() + 1);
+      date.setHours(0, 0, 0);
+    } else if (!cron.hour.values.has(date.getHours())) {
+      date.setHours(date.getHours() + 1, 0, 0);
+    } else if (!cron.minute.values.has(date.getMinutes())) {
+      date.setMinutes(date.getMinutes() + 1, 0);
+    } else if (cron.second.values.has(date.getSeconds())) {
+      return date;
+    } else {
+      date.setSeconds(date.getSeconds() + 1);
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parse: parse,
+  next: next
+};
@@ -0,0 +1,136 @@
+"use strict";
+
+const crypto = require('crypto');
+const type = require('xcane').type;
+
+/**
+ * @desc marker prepended to encrypted values
+ */
+const MARKER = '$enc2';
+
+/**
+ * @desc marker prepended to values encrypted by earlier versions, which are
+ * not bound to their key
+ */
+const LEGACY_MARKER = '$enc';
+
+/**
+ * @desc cipher used for encrypting values
+ */
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * @desc wraps a serializer so encoded values are encrypted using AES-GCM.
+ * encrypted text is formatted as $enc2:<key id>:<iv>:<auth tag>:<data>.
+ * key of record is authenticated along with value, so encrypted text can
+ * not be moved to another key. text formatted as $enc:<key id>:... by
+ * earlier versions, which is not bound to key, is still decrypted and
+ * values which are not encrypted are decoded by wrapped serializer.
+ * @param {*} serializer - serializer to wrap
+ * @param {*} options - object containing keys, a map of key ids to 32 byte
+ * keys given as Buffer or base64 string, and current, id of key used to
+ * encrypt new values
+ * @return {*} - serializer which encrypts values
+ */
+function encrypted(serializer, options) {
+  const keys = {};
+
+  for (const id of Object.keys(options.keys)) {
+    if (!/^[A-Za-z0-9-]+$/.test(id)) {
+      throw new Error(`invalid encryption key id: ${id}`);
+    }
+
+    const key = Buffer.isBuffer(options.keys[id]) ? options.keys[id] :
+      Buffer.from(options.keys[id], 'base64');
+
+    if (key.length !== 32) {
+      throw new Error(`encryption key must be 32 bytes long: ${id}`);
+    }
+
+    keys[id] = key;
+  }
+
+  if (type.isUndefined(keys[options.current])) {
+    throw new Error(`unknown encryption key: ${options.current}`);
+  }
+
+  const current = options.current;
+
+  return Object.freeze({
+    /**
+     * @desc text every value encrypted by current key starts with
+     */
+    marker: `${MARKER}:${current}:`,
+
+    /**
+     * @desc encodes and encrypts a javascript value using current key
+     * @param {*} value - any javascript value
+     * @param {string} key - key of record holding value
+     * @return {string} - encrypted text
+     */
+    encode: (value, key) => {
+      if (!type.isString(key)) {
+        throw new Error('key of encrypted value is missing');
+      }
+
+      const iv = crypto.randomBytes(12);
+      const cipher = crypto.createCipheriv(ALGORITHM, keys[current], iv);
+
+      cipher.setAAD(Buffer.from(key, 'utf8'));
+
+      const data = Buffer.concat([
+        cipher.update(serializer.encode(value), 'utf8'),
+        cipher.final()
+      ]);
+
+      return [
+        MARKER,
+        current,
+        iv.toString('base64'),
+        cipher.getAuthTag().toString('base64'),
+        data.toString('base64')
+      ].join(':');
+    },
+
+    /**
+     * @desc decrypts and decodes text back into javascript value
+     * @param {string} text - encrypted or plain text
+     * @param {string} key - key of record holding text
+     * @return {*} - decoded javascript value
+     */
+    decode: (text, key) => {
+      const bound = text.startsWith(`${MARKER}:`);
+
+      if (!bound && !text.startsWith(`${LEGACY_MARKER}:`)) {
+        return serializer.decode(text);
+      }
+
+      if (bound && !type.isString(key)) {
+        throw new Error('key of encrypted value is missing');
+      }
+
+      const parts = text.split(':');
+      const secret = keys[parts[1]];
+
+      if (type.isUndefined(secret)) {
+        throw new Error(`unknown encryption key: ${parts[1]}`);
+      }
+
+      const decipher = crypto.createDecipheriv(
+        ALGORITHM, secret, Buffer.from(parts[2], 'base64'));
+
+      if (bound) {
+        decipher.setAAD(Buffer.from(key, 'utf8'));
+      }
+
+      decipher.setAuthTag(Buffer.from(parts[3], 'base64'));
+
+      return serializer.decode(Buffer.concat([
+        decipher.update(Buffer.from(parts[4], 'base64')),
+        decipher.final()
+      ]).toString('utf8'));
+    }
+  });
+}
+
+module.exports = encrypted;
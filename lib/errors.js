@@ -0,0 +1,68 @@
+"use strict";
+
+/**
+ * @desc thrown when a compare-and-set operation finds out that the record
+ * has been modified since the expected version was read
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class VersionConflictError extends Error {
+  /**
+   * @desc creates a new instance of VersionConflictError
+   * @param {string} key - key of conflicting record
+   * @param {number|null} expected - version expected by caller, null if
+   * record was expected to be missing
+   */
+  constructor(key, expected) {
+    super(`version conflict: ${key}`);
+    this.name = 'VersionConflictError';
+    this.key = key;
+    this.expected = expected;
+  }
+}
+
+/**
+ * @desc thrown when a value written to a key fails a validator registered
+ * for a pattern matching the key
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class ValidationError extends Error {
+  /**
+   * @desc creates a new instance of ValidationError
+   * @param {string} key - key value was written to
+   * @param {string} pattern - pattern of failing validator
+   * @param {string} reason - description of why value is invalid
+   * @param {number=} line - optional number of imported line holding value
+   */
+  constructor(key, pattern, reason, line) {
+    super(`invalid ${key === null ? 'record' : `value for ${key}`}${
+      line === undefined ? '' : ` at line ${line}`}: ${reason}`);
+    this.name = 'ValidationError';
+    this.key = key;
+    this.pattern = pattern;
+    this.reason = reason;
+    this.line = line === undefined ? null : line;
+  }
+}
+
+/**
+ * @desc thrown when a lock can not be acquired since it is held by another
+ * owner
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class LockError extends Error {
+  /**
+   * @desc creates a new instance of LockError
+   * @param {string} key - name of lock
+   */
+  constructor(key) {
+    super(`lock is held: ${key}`);
+    this.name = 'LockError';
+    this.key = key;
+  }
+}
+
+module.exports = {
+  VersionConflictError: VersionConflictError,
+  ValidationError: ValidationError,
+  LockError: LockError
+};
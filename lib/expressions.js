@@ -0,0 +1,53 @@
+"use strict";
+
+/**
+ * @desc builds a dialect specific sql expression reading the number encoded
+ * inside value column, i.e. {"value":<number>}
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @return {string} - sql expression evaluating to stored number
+ */
+function numberExpression(sequelize) {
+  const column = sequelize.getQueryInterface().quoteIdentifier('value');
+  const number = `SUBSTR(${column}, 10, LENGTH(${column}) - 10)`;
+
+  if (sequelize.getDialect() === 'postgres') {
+    return `CAST(${number} AS NUMERIC)`;
+  }
+
+  return `(${number} + 0)`;
+}
+
+/**
+ * @desc builds a dialect specific sql expression that encodes a number the
+ * same way as json serializer
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {string} number - sql expression evaluating to a number
+ * @return {*} - sequelize literal to be used as new value of column
+ */
+function encodeExpression(sequelize, number) {
+  switch (sequelize.getDialect()) {
+    case 'mysql':
+    case 'mariadb':
+      return sequelize.literal(`CONCAT('{"value":', ${number}, '}')`);
+    default:
+      return sequelize.literal(`'{"value":' || (${number}) || '}'`);
+  }
+}
+
+/**
+ * @desc builds a dialect specific sql expression that adds a number to the
+ * numeric value encoded inside value column
+ * @param {Sequelize} sequelize - a reference to an instance of Sequelize
+ * @param {number} delta - number to add to stored value
+ * @return {*} - sequelize literal to be used as new value of column
+ */
+function incrementExpression(sequelize, delta) {
+  return encodeExpression(sequelize,
+    `${numberExpression(sequelize)} + ${sequelize.escape(delta)}`);
+}
+
+module.exports = {
+  numberExpression: numberExpression,
+  encodeExpression: encodeExpression,
+  incrementExpression: incrementExpression
+};
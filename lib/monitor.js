@@ -0,0 +1,352 @@
+"use strict";
+
+const crypto = require('crypto');
+const task = require('xcane').task;
+const type = require('xcane').type;
+const cron = require('./cron');
+
+/**
+ * @desc schedule used when none is given, every 20 minutes
+ */
+const DEFAULT_SCHEDULE = '*/20 * * * *';
+
+/**
+ * @desc key of lock held by elected leader unless another name is given
+ */
+const LEADER_LOCK = '\u001fmonitor';
+
+/**
+ * @desc longest delay of a timer in milliseconds
+ */
+const MAX_DELAY = 2147483647;
+
+/**
+ * @desc number of monitors stopped because their instance was garbage
+ * collected
+ */
+let destroyed = 0;
+
+/**
+ * @desc stops monitors once their instance is garbage collected
+ */
+const registry = new FinalizationRegistry(monitor => monitor._collected());
+
+/**
+ * @desc runs garbage collection of a meta instance on a schedule. instance
+ * is only weakly referenced, so monitor never keeps it alive and stops once
+ * it is garbage collected. if leader election is enabled, monitors of all
+ * processes sharing a table compete for a lock and only holder of lock runs
+ * gc. lease of lock lasts two runs, so another monitor takes over if leader
+ * stops running. errors of runs are emitted as error events of instance if
+ * it has listeners and are otherwise dropped, but counted in stats along
+ * with last of them.
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class Monitor {
+  /**
+   * @desc creates and starts a new instance of Monitor
+   * @param {SequelizeDbMetaInstance} storage - meta instance, or prefix of
+   * one, to collect
+   * @param {(string|number)=} schedule - a cron-tab compatible schedule
+   * with optional seconds field or an interval in seconds. default is every
+   * 20 minutes
+   * @param {*=} options - optional leader, either true or name of lock, to
+   * run gc only in elected leader along with batchSize, maxDuration and
+   * pattern passed to gc
+   */
+  constructor(storage, schedule, options) {
+    options = Object.assign({
+      leader: false
+    }, options);
+
+    if (type.isOptional(schedule)) {
+      schedule = DEFAULT_SCHEDULE;
+    }
+
+    if (type.isNumber(schedule)) {
+      if (!(schedule > 0)) {
+        throw new Error(`invalid monitor interval: ${schedule}`);
+      }
+
+      this._interval = schedule * 1000;
+      this._cron = null;
+    } else if (type.isString(schedule)) {
+      this._interval = null;
+      this._cron = cron.parse(schedule);
+    } else {
+      throw new Error(`invalid monitor schedule: ${schedule}`);
+    }
+
+    if (options.leader === false) {
+      this._lock = null;
+    } else {
+      this._lock = type.isString(options.leader) ? options.leader :
+        LEADER_LOCK;
+    }
+
+    // removed keys are not kept, so gc need not collect them
+    this._gcOptions = {
+      batchSize: options.batchSize,
+      maxDuration: options.maxDuration,
+      pattern: options.pattern,
+      maxKeys: 0
+    };
+    this._stats = null;
+    this._errors = 0;
+    this._lastError = null;
+    this._ref = new WeakRef(storage);
+    this._owner = crypto.randomBytes(16).toString('hex');
+    this._leader = false;
+    this._stopped = false;
+    this._running = null;
+    this._timer = null;
+    this._due = 0;
+
+    registry.register(storage, this, this);
+    this._schedule();
+  }
+
+  /**
+   * @desc number of monitors stopped because their instance was garbage
+   * collected
+   * @return {number} - number of collected instances
+   */
+  static get destroyed() {
+    return destroyed;
+  }
+
+  /**
+   * @desc shows whether monitor currently holds lock of leader
+   * @return {boolean} - true if monitor is elected
+   */
+  get leader() {
+    return this._leader;
+  }
+
+  /**
+   * @desc statistics of last gc run by monitor. removed keys are not kept.
+   * @return {*} - object containing removed, batches, durationMs and
+   * finishedAt, date at which last successful gc finished or null if none
+   * did, along with errors, number of failed runs, and lastError, error of
+   * last failed run or null, or null if gc has not run yet
+   */
+  get stats() {
+    if (this._stats === null && this._errors === 0) {
+      return null;
+    }
+
+    return Object.assign({
+      removed: 0,
+      batches: 0,
+      durationMs: 0,
+      finishedAt: null
+    }, this._stats, {
+      errors: this._errors,
+      lastError: this._lastError
+    });
+  }
+
+  /**
+   * @desc stops monitor and releases lock of leader if held
+   * @return {Promise} - resolves once running gc is finished and lock is
+   * released
+   */
+  stop() {
+    const self = this;
+
+    this._halt();
+
+    return Promise.resolve(this._running).then(() => self._resign());
+  }
+
+  /**
+   * @desc cancels next run of monitor
+   * @return {boolean} - true if monitor was running
+   * @private
+   */
+  _halt() {
+    if (this._stopped) {
+      return false;
+    }
+
+    this._stopped = true;
+    clearTimeout(this._timer);
+    this._timer = null;
+    registry.unregister(this);
+
+    return true;
+  }
+
+  /**
+   * @desc stops monitor once its instance is garbage collected
+   * @private
+   */
+  _collected() {
+    if (this._halt()) {
+      destroyed++;
+    }
+  }
+
+  /**
+   * @desc finds time of next run
+   * @param {number} now - current time in milliseconds
+   * @return {number} - time of next run in milliseconds or null if schedule
+   * never runs again
+   * @private
+   */
+  _next(now) {
+    if (!type.isOptional(this._interval)) {
+      return now + this._interval;
+    }
+
+    const next = cron.next(this._cron, new Date(now));
+
+    return type.isOptional(next) ? null : next.getTime();
+  }
+
+  /**
+   * @desc schedules next run of monitor
+   * @private
+   */
+  _schedule() {
+    const due = this._next(Date.now());
+
+    if (due === null) {
+      this._halt();
+    } else {
+      this._due = due;
+      this._wait();
+    }
+  }
+
+  /**
+   * @desc sets timer of next run. timers do not keep process alive and runs
+   * further than longest delay of a timer are reached by several timers.
+   * @private
+   */
+  _wait() {
+    if (this._stopped) {
+      return;
+    }
+
+    this._timer = setTimeout(() => this._tick(),
+      Math.max(0, Math.min(MAX_DELAY, this._due - Date.now())));
+    this._timer.unref();
+  }
+
+  /**
+   * @desc runs gc if it is due and schedules next run
+   * @private
+   */
+  _tick() {
+    const storage = this._ref.deref();
+
+    if (type.isUndefined(storage)) {
+      this._collected();
+      return;
+    }
+
+    const now = Date.now();
+
+    if (now < this._due) {
+      this._wait();
+      return;
+    }
+
+    const self = this;
+    const next = this._next(now);
+    const ttl = next === null ? null : Math.ceil((next - now) / 500);
+
+    this._running = this._run(storage, ttl).then(() => {
+      self._running = null;
+      self._schedule();
+    });
+  }
+
+  /**
+   * @desc runs gc of instance, errors are counted and emitted as error
+   * events of instance if it has listeners
+   * @param {SequelizeDbMetaInstance} storage - meta instance to collect
+   * @param {number} ttl - lease of leader lock in seconds or null if
+   * schedule does not run again
+   * @return {Promise} - resolves once gc is done
+   * @private
+   */
+  _run(storage, ttl) {
+    const self = this;
+
+    return task.spawn(function * task() {
+      if (self._lock !== null && !(yield self._elect(storage, ttl))) {
+        return;
+      }
+
+      const stats = yield storage.gc(self._gcOptions);
+
+      self._stats = {
+        removed: stats.removed,
+        batches: stats.batches,
+        durationMs: stats.durationMs,
+        finishedAt: new Date()
+      };
+    }).catch(err => {
+      self._errors++;
+      self._lastError = err;
+
+      if (storage.listenerCount('error') > 0) {
+        storage.emit('error', err);
+      }
+    });
+  }
+
+  /**
+   * @desc renews lock of leader or tries to acquire it
+   * @param {SequelizeDbMetaInstance} storage - meta instance to collect
+   * @param {number} ttl - lease of lock in seconds or null if schedule does
+   * not run again
+   * @return {Promise.<boolean>} - resolves to true if monitor is leader
+   * @private
+   */
+  _elect(storage, ttl) {
+    const self = this;
+    const options = Object.assign({
+      owner: this._owner
+    }, ttl === null ? null : {
+      ttl: ttl
+    });
+
+    return task.spawn(function * task() {
+      let lock = null;
+
+      if (self._leader) {
+        lock = yield storage.renewLock(self._lock, options);
+      }
+
+      if (lock === null) {
+        lock = yield storage.acquireLock(self._lock, options);
+      }
+
+      self._leader = lock !== null;
+      return self._leader;
+    });
+  }
+
+  /**
+   * @desc releases lock of leader if held
+   * @return {Promise.<boolean>} - resolves to true if lock was released
+   * @private
+   */
+  _resign() {
+    const storage = this._ref.deref();
+
+    if (!this._leader || type.isUndefined(storage)) {
+      return Promise.resolve(false);
+    }
+
+    this._leader = false;
+    return storage.releaseLock(this._lock, {
+      owner: this._owner
+    });
+  }
+}
+
+module.exports = Monitor;
@@ -0,0 +1,206 @@
+"use strict";
+
+const task = require('xcane').task;
+const type = require('xcane').type;
+const expressions = require('./expressions');
+
+/**
+ * @desc number of times consume is retried when its record expires or
+ * disappears while being updated
+ */
+const CONSUME_RETRIES = 10;
+
+/**
+ * @desc limits rate of operations per id using records of a meta table.
+ * in fixed mode at most limit units are consumed in each window. in bucket
+ * mode ids own a bucket of limit tokens refilled over window, which is
+ * tracked as a single timestamp at which bucket becomes full again. every
+ * decision is made by a single conditional update, so concurrent consumers
+ * never exceed the limit, and records expire using expires column.
+ * @author Mohamad mehdi Kharatizadeh - m_kharatizadeh@yahoo.com
+ */
+class RateLimiter {
+  /**
+   * @desc creates a new instance of RateLimiter
+   * @param {*} counters - internal api of meta table storing state, as
+   * returned by _counters of SequelizeDbMetaInstance
+   * @param {*} options - limit, number of units allowed per window, window
+   * in seconds, optional mode, either fixed (default) or bucket, and
+   * optional prefix added to ids
+   */
+  constructor(counters, options) {
+    options = Object.assign({
+      mode: 'fixed',
+      prefix: ''
+    }, options);
+
+    if (options.mode !== 'fixed' && options.mode !== 'bucket') {
+      throw new Error(`unknown rate limiter mode: ${options.mode}`);
+    }
+
+    if (!type.isNumber(options.limit) || options.limit <= 0 ||
+      !type.isNumber(options.window) || options.window <= 0) {
+      throw new Error('limit and window should be positive numbers');
+    }
+
+    this._counters = counters;
+    this._mode = options.mode;
+    this._limit = options.limit;
+    this._window = options.window * 1000;
+    this._prefix = options.prefix;
+  }
+
+  /**
+   * @desc consumes units on behalf of an id if allowed
+   * @param {string} id - id of rate limited subject
+   * @param {number=} cost - optional number of units to consume, default is
+   * 1
+   * @return {Promise.<*>} - resolves to object containing allowed, whether
+   * units were consumed, remaining, number of units left, and resetAt,
+   * date at which window ends or bucket becomes full again
+   */
+  consume(id, cost) {
+    if (type.isOptional(cost)) {
+      cost = 1;
+    }
+
+    if (!type.isNumber(cost) || cost <= 0) {
+      return Promise.reject(new Error(`invalid cost: ${cost}`));
+    }
+
+    const error = this._counters.error();
+
+    if (!type.isOptional(error)) {
+      return Promise.reject(error);
+    }
+
+    const self = this;
+    const key = `${this._prefix}${id}`;
+
+    return task.spawn(function * task() {
+      for (let attempt = 1; attempt <= CONSUME_RETRIES; attempt++) {
+        const now = Date.now();
+        const result = self._mode === 'fixed' ?
+          yield self._consumeWindow(key, cost, now) :
+          yield self._consumeBucket(key, cost, now);
+
+        if (!type.isOptional(result)) {
+          return result;
+        }
+      }
+
+      throw new Error(`could not consume: ${key}`);
+    });
+  }
+
+  /**
+   * @desc removes state of an id so it starts with full limit
+   * @param {string} id - id of rate limited subject
+   * @return {Promise.<boolean>} - resolves to true if state was removed
+   */
+  reset(id) {
+    return this._counters.delete(`${this._prefix}${id}`);
+  }
+
+  /**
+   * @desc consumes units using a fixed window counter
+   * @param {string} key - key of record
+   * @param {number} cost - number of units to consume
+   * @param {number} now - current time in milliseconds
+   * @return {Promise.<*>} - resolves to result of consume or null if it
+   * should be retried
+   * @private
+   */
+  _consumeWindow(key, cost, now) {
+    const self = this;
+    const sequelize = this._counters.sequelize;
+
+    return task.spawn(function * task() {
+      if (cost <= self._limit &&
+        (yield self._counters.create(key, cost, now + self._window))) {
+        return {
+          allowed: true,
+          remaining: self._limit - cost,
+          resetAt: new Date(now + self._window)
+        };
+      }
+
+      const state = yield self._counters.update(key, {
+        value: expressions.incrementExpression(sequelize, cost)
+      }, expressions.numberExpression(sequelize), self._limit - cost, now);
+
+      if (type.isOptional(state)) {
+        return cost <= self._limit ? null : {
+          allowed: false,
+          remaining: self._limit,
+          resetAt: new Date(now)
+        };
+      }
+
+      return {
+        allowed: state.updated,
+        remaining: Math.max(0, self._limit - state.number),
+        resetAt: state.expires
+      };
+    });
+  }
+
+  /**
+   * @desc consumes tokens of a bucket. record stores time at which bucket
+   * becomes full, each token moves it forward by window / limit.
+   * @param {string} key - key of record
+   * @param {number} cost - number of tokens to consume
+   * @param {number} now - current time in milliseconds
+   * @return {Promise.<*>} - resolves to result of consume or null if it
+   * should be retried
+   * @private
+   */
+  _consumeBucket(key, cost, now) {
+    const self = this;
+    const sequelize = this._counters.sequelize;
+    const interval = this._window / this._limit;
+    const increment = Math.ceil(cost * interval);
+
+    return task.spawn(function * task() {
+      // a full bucket is the same as a missing one, so record is kept at
+      // most for a window after bucket would become full
+      if (increment <= self._window &&
+        (yield self._counters.create(
+          key, now + increment, now + self._window))) {
+        return {
+          allowed: true,
+          remaining: Math.floor((self._window - increment) / interval),
+          resetAt: new Date(now + increment)
+        };
+      }
+
+      const number = expressions.numberExpression(sequelize);
+      const start = `(CASE WHEN ${number} > ${now} THEN ${number} ` +
+        `ELSE ${now} END)`;
+      const state = yield self._counters.update(key, {
+        value: expressions.encodeExpression(
+          sequelize, `${start} + ${increment}`),
+        expires: new Date(now + self._window)
+      }, `${start} + ${increment}`, now + self._window, now);
+
+      if (type.isOptional(state)) {
+        return increment <= self._window ? null : {
+          allowed: false,
+          remaining: self._limit,
+          resetAt: new Date(now)
+        };
+      }
+
+      const full = Math.max(state.number, now);
+
+      return {
+        allowed: state.updated,
+        remaining: Math.max(0,
+          Math.floor((now + self._window - full) / interval)),
+        resetAt: new Date(full)
+      };
+    });
+  }
+}
+
+module.exports = RateLimiter;
@@ -0,0 +1,190 @@
+"use strict";
+
+const type = require('xcane').type;
+
+/**
+ * @desc converts a value into a JSON compatible structure in which values
+ * that JSON can not represent are replaced by {$type, $value} tags
+ * @param {*} value - value to convert
+ * @param {*} state - conversion state, tagged is set to true if any tag was
+ * produced
+ * @return {*} - JSON compatible structure
+ */
+function tag(value, state) {
+  if (type.isOptional(value) || typeof value !== 'object' &&
+    Object.prototype.toString.call(value) !== '[object BigInt]') {
+    return value;
+  }
+
+  const tagged = (name, data) => {
+    state.tagged = true;
+    return {
+      $type: name,
+      $value: data
+    };
+  };
+
+  if (Object.prototype.toString.call(value) === '[object BigInt]') {
+    return tagged('BigInt', value.toString());
+  }
+
+  if (value instanceof Date) {
+    return tagged('Date', value.getTime());
+  }
+
+  if (Buffer.isBuffer(value)) {
+    return tagged('Buffer', value.toString('base64'));
+  }
+
+  if (value instanceof RegExp) {
+    return tagged('RegExp', [value.source, value.flags]);
+  }
+
+  if (value instanceof Map) {
+    return tagged('Map', Array.from(value,
+      entry => [tag(entry[0], state), tag(entry[1], state)]));
+  }
+
+  if (value instanceof Set) {
+    return tagged('Set', Array.from(value, item => tag(item, state)));
+  }
+
+  if (typeof value.toJSON === 'function') {
+    return tag(value.toJSON(), state);
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(item => tag(item, state));
+  }
+
+  const result = {};
+
+  for (const key of Object.keys(value)) {
+    result[key] = tag(value[key], state);
+  }
+
+  if (Object.prototype.hasOwnProperty.call(value, '$type')) {
+    return tagged('Object', result);
+  }
+
+  return result;
+}
+
+/**
+ * @desc reverts properties of a plain object produced by tag
+ * @param {*} value - plain object
+ * @return {*} - object with original property values
+ */
+function untagProperties(value) {
+  const result = {};
+
+  for (const key of Object.keys(value)) {
+    result[key] = untag(value[key]);
+  }
+
+  return result;
+}
+
+/**
+ * @desc reverts a structure produced by tag back into original value
+ * @param {*} value - JSON compatible structure
+ * @return {*} - original value
+ */
+function untag(value) {
+  if (type.isOptional(value) || typeof value !== 'object') {
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map(untag);
+  }
+
+  if (!Object.prototype.hasOwnProperty.call(value, '$type')) {
+    return untagProperties(value);
+  }
+
+  switch (value.$type) {
+    case 'BigInt':
+      return BigInt(value.$value);
+    case 'Date':
+      return new Date(value.$value);
+    case 'Buffer':
+      return Buffer.from(value.$value, 'base64');
+    case 'RegExp':
+      return new RegExp(value.$value[0], value.$value[1]);
+    case 'Map':
+      return new Map(untag(value.$value));
+    case 'Set':
+      return new Set(untag(value.$value));
+    case 'Object':
+      return untagProperties(value.$value);
+    default:
+      throw new Error(`unknown serialized type: ${value.$type}`);
+  }
+}
+
+/**
+ * @desc default serializer which stores values as {"value": ...} JSON
+ * @type {*}
+ */
+const json = Object.freeze({
+  /**
+   * @desc encodes a javascript value into text
+   * @param {*} value - any javascript value
+   * @return {string} - encoded text
+   */
+  encode: value => JSON.stringify({value: value}),
+
+  /**
+   * @desc decodes text back into javascript value
+   * @param {string} text - encoded text
+   * @return {*} - decoded javascript value
+   */
+  decode: text => JSON.parse(text).value
+});
+
+/**
+ * @desc type preserving serializer which round-trips Date, Map, Set, BigInt,
+ * RegExp and Buffer values. values that plain JSON can represent are
+ * encoded exactly like json serializer, so rows written by it stay readable
+ * and numbers can still be incremented atomically.
+ * @type {*}
+ */
+const typed = Object.freeze({
+  /**
+   * @desc encodes a javascript value into text
+   * @param {*} value - any javascript value
+   * @return {string} - encoded text
+   */
+  encode: value => {
+    const state = {
+      tagged: false
+    };
+    const result = tag(value, state);
+
+    if (!state.tagged) {
+      return json.encode(value);
+    }
+
+    return JSON.stringify({
+      value: result,
+      typed: true
+    });
+  },
+
+  /**
+   * @desc decodes text back into javascript value
+   * @param {string} text - encoded text
+   * @return {*} - decoded javascript value
+   */
+  decode: text => {
+    const data = JSON.parse(text);
+
+    return data.typed === true ? untag(data.value) : data.value;
+  }
+});
+
+module.exports = {
+  json: json,
+  typed: typed
+};
@@ -6,6 +6,9 @@ const metaDb =  require('../index');
 const expect = require('chai').expect;
 const promise = require('xcane').promise;
 const Sequelize = require('sequelize');
+const stream = require('stream');
+const cli = require('../lib/cli');
+const crypto = require('crypto');
 
 describe('sequelize-db-meta', () => {
   let sequelize = null;
@@ -188,6 +191,23 @@ describe('sequelize-db-meta', () => {
         expect(yield metaDb.get('key-2')).to.be.equal('value-2');
       }).then(() => done()).catch(done);
     });
+
+    it('should reject times that are not finite numbers', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+
+        for (const time of [NaN, Infinity, '10', null]) {
+          try {
+            yield metaDb.expire('key-1', time);
+            throw new Error('it should not had succeeded');
+          } catch (err) {
+            expect(err).to.be.an.instanceof(metaDb.ValidationError);
+            expect(err.key).to.be.equal('key-1');
+          }
+        }
+
+        expect(yield metaDb.ttl('key-1')).to.be.null;
+      }));
   });
 
   describe('#gc()', () => {
@@ -211,6 +231,118 @@ describe('sequelize-db-meta', () => {
     });
   });
 
+  describe('#gc()', () => {
+    it('should remove expired keys in batches', () => task.spawn(function* () {
+      for (let i = 0; i < 5; i++) {
+        yield metaDb.put(`key-${i}`, i, {ttl: 1});
+      }
+
+      yield metaDb.put('other', 'value', {ttl: 1});
+      yield metaDb.put('alive', 'value');
+      yield promise.delay(1100);
+
+      const stats = yield metaDb.gc({batchSize: 2, pattern: 'key-*'});
+
+      expect(stats.removed).to.be.equal(5);
+      expect(stats.keys.sort()).to.be.deep.equal(
+        ['key-0', 'key-1', 'key-2', 'key-3', 'key-4']);
+      expect(stats.batches).to.be.equal(3);
+      expect(stats.durationMs).to.be.at.least(0);
+      expect(yield metaDb.count(null, {expires: {$ne: null}})).to.be.equal(1);
+      expect((yield metaDb.gc()).removed).to.be.equal(1);
+      expect(yield metaDb.has('alive')).to.be.true;
+    }));
+
+    it('should report up to max keys and leave out elements', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+        const evicted = [];
+
+        for (let i = 0; i < 3; i++) {
+          yield db.put(`key-${i}`, i, {ttl: 1});
+        }
+
+        yield db.rpush('list', ['a', 'b']);
+        yield db.expire('list', 1);
+        yield promise.delay(1100);
+        db.on('evicted', payload => evicted.push(payload.key));
+
+        const stats = yield db.gc({batchSize: 2, maxKeys: 2});
+
+        expect(stats.removed).to.be.equal(5);
+        expect(stats.keys).to.have.lengthOf(2);
+        expect(stats.keys.every(key => key.startsWith('key-'))).to.be.true;
+        expect(evicted.sort()).to.be.deep.equal(['key-0', 'key-1', 'key-2']);
+      }));
+
+    it('should stop starting batches after max duration', () =>
+      task.spawn(function* () {
+        for (let i = 0; i < 4; i++) {
+          yield metaDb.put(`key-${i}`, i, {ttl: 1});
+        }
+
+        yield promise.delay(1100);
+
+        const stats = yield metaDb.gc({batchSize: 1, maxDuration: 0});
+
+        expect(stats.removed).to.be.equal(1);
+        expect(stats.batches).to.be.equal(1);
+        expect((yield metaDb.gc()).removed).to.be.equal(3);
+      }));
+
+    it('should accept a transaction as first argument', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1', {ttl: 1});
+        yield promise.delay(1100);
+
+        let stats = null;
+
+        try {
+          yield sequelize.transaction(t => task.spawn(function* () {
+            stats = yield metaDb.prefix('key-').gc(t);
+            throw new Error('rollback');
+          }));
+        } catch (err) {
+          expect(err.message).to.be.equal('rollback');
+        }
+
+        expect(stats.keys).to.be.deep.equal(['key-1']);
+        expect(yield metaDb.count(null, {expires: {$ne: null}})).to.be.equal(1);
+      }));
+
+    it('should pass transactions given to default instance', () =>
+      task.spawn(function* () {
+        const gc = metaDb.MetaDB.prototype.gc;
+        const calls = [];
+
+        metaDb.MetaDB.prototype.gc = function (options, transaction) {
+          calls.push(transaction);
+          return gc.call(this, options, transaction);
+        };
+
+        try {
+          yield sequelize.transaction(t => task.spawn(function* () {
+            yield metaDb.gc({pattern: 'key-*'}, t);
+            expect(calls).to.be.deep.equal([t]);
+          }));
+        } finally {
+          metaDb.MetaDB.prototype.gc = gc;
+        }
+      }));
+
+    it('should reject invalid batch sizes', () => task.spawn(function* () {
+      let error = null;
+
+      try {
+        yield metaDb.gc({batchSize: 0});
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).to.be.an('error');
+    }));
+  });
+
   describe('#monitor()', () => {
     it('should auto-schedule correctly', function(done) {
       this.timeout(10000);
@@ -240,6 +372,111 @@ describe('sequelize-db-meta', () => {
         expect(metaDb.__getDestroyCounter()).to.be.equal(1);
       }).then(() => done()).catch(done);
     });
+
+    it('should collect garbage on an interval', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+
+        yield db.put('key-1', 'value-1', {ttl: 1});
+        yield promise.delay(1100);
+        expect(db.monitorStats).to.be.null;
+        db.monitor(0.5, {batchSize: 10});
+        yield promise.delay(800);
+        expect(yield metaDb.count(null, {expires: {$ne: null}}))
+          .to.be.equal(0);
+        expect(db.monitorStats.removed).to.be.equal(1);
+        expect(db.monitorStats.finishedAt).to.be.an.instanceof(Date);
+        yield db.close();
+      });
+    });
+
+    it('should keep errors of gc without error listeners', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+        const errors = [];
+
+        db.monitor(0.2, {batchSize: 0});
+        yield promise.delay(300);
+        expect(db.monitorStats.errors).to.be.equal(1);
+        expect(db.monitorStats.lastError).to.be.an('error');
+        expect(db.monitorStats.finishedAt).to.be.null;
+
+        db.on('error', err => errors.push(err));
+        yield promise.delay(200);
+        expect(errors).to.have.lengthOf(1);
+        expect(db.monitorStats.errors).to.be.equal(2);
+        expect(db.monitorStats.lastError).to.be.equal(errors[0]);
+        yield db.close();
+      }));
+
+    it('should reject invalid schedules', () => {
+      const db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+
+      expect(() => db.monitor('* * *')).to.throw(Error);
+      expect(() => db.monitor(0)).to.throw(Error);
+    });
+
+    it('should run gc only in elected leader', () => task.spawn(function* () {
+      const first = new metaDb.MetaDB(sequelize, metaDb.tableName());
+      const second = new metaDb.MetaDB(sequelize, metaDb.tableName());
+
+      first.monitor(0.2, {leader: 'gc-leader'});
+      yield promise.delay(300);
+      second.monitor(0.2, {leader: 'gc-leader'});
+      yield promise.delay(500);
+      expect(first._task.leader).to.be.true;
+      expect(second._task.leader).to.be.false;
+
+      yield first.stopMonitor();
+      expect(yield metaDb.has('gc-leader')).to.be.false;
+      yield promise.delay(500);
+      expect(second._task.leader).to.be.true;
+      yield second.close();
+      expect(yield metaDb.has('gc-leader')).to.be.false;
+    }));
+  });
+
+  describe('#prefix monitor', () => {
+    it('should collect only keys under prefix', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+        const p = db.prefix('pre-');
+
+        yield db.put('key-1', 'value-1', {ttl: 1});
+        yield p.put('key-1', 'value-1', {ttl: 1});
+        yield promise.delay(1100);
+
+        db.monitor(60);
+        p.monitor(0.2);
+        yield promise.delay(500);
+        expect(p.monitorStats).to.not.be.null;
+        expect(db.monitorStats).to.be.null;
+        expect(yield metaDb.has('pre-key-1')).to.be.false;
+        expect(yield metaDb.count(null, {expires: {$ne: null}}))
+          .to.be.equal(1);
+
+        yield p.close();
+        expect(db._task).to.not.be.null;
+        yield db.close();
+      });
+    });
+  });
+
+  describe('#stopMonitor()', () => {
+    it('should stop collecting garbage', () => task.spawn(function* () {
+      const db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+
+      db.monitor(0.2);
+      yield db.stopMonitor();
+      yield db.put('key-1', 'value-1', {ttl: 1});
+      yield promise.delay(1500);
+      expect(yield metaDb.count(null, {expires: {$ne: null}})).to.be.equal(1);
+      yield db.stopMonitor();
+    }));
   });
 
   describe('#delete()', () => {
@@ -484,4 +721,2267 @@ describe('sequelize-db-meta', () => {
         });
       }));
   });
+
+  describe('#incrBy()', () => {
+    it('should create missing key and add to it', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.incrBy('counter', 5)).to.be.equal(5);
+        expect(yield metaDb.incrBy('counter', 10)).to.be.equal(15);
+        expect(yield metaDb.incrBy('counter', -20)).to.be.equal(-5);
+        expect(yield metaDb.incrBy('counter', 0.5)).to.be.equal(-4.5);
+        expect(yield metaDb.get('counter')).to.be.equal(-4.5);
+      }));
+
+    it('should fail on non-numeric values', done => {
+      metaDb.put('counter', 'hello')
+        .then(() => metaDb.incrBy('counter', 1))
+        .then(() => done('it should not had succeeded'))
+        .catch(err => {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.be.equal('value is not a number: counter');
+          return metaDb.get('counter');
+        })
+        .then(value => {
+          expect(value).to.be.equal('hello');
+          done();
+        }).catch(done);
+    });
+
+    it('should keep expiration of live keys', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield metaDb.put('counter', 1);
+        yield metaDb.expire('counter', 1);
+        expect(yield metaDb.incrBy('counter', 1)).to.be.equal(2);
+        yield promise.delay(1100);
+        expect(yield metaDb.getOrNull('counter')).to.be.null;
+        expect(yield metaDb.incrBy('counter', 1)).to.be.equal(1);
+        expect(yield metaDb.count(null, {expires: {$ne: null}})).to.be.equal(0);
+      });
+    });
+
+    it('should work inside transactions', () =>
+      sequelize.transaction(t => task.spawn(function* () {
+        expect(yield metaDb.incrBy('counter', 3, t)).to.be.equal(3);
+        expect(yield metaDb.incrBy('counter', 3, t)).to.be.equal(6);
+      })).then(() => metaDb.get('counter'))
+        .then(value => expect(value).to.be.equal(6)));
+  });
+
+  describe('#incr()', () => {
+    it('should increment by one', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.incr('counter')).to.be.equal(1);
+        expect(yield metaDb.incr('counter')).to.be.equal(2);
+        const p = metaDb.prefix('pre-');
+        expect(yield p.incr('counter')).to.be.equal(1);
+        expect(yield metaDb.get('pre-counter')).to.be.equal(1);
+        expect(yield metaDb.get('counter')).to.be.equal(2);
+      }));
+  });
+
+  describe('#decr()', () => {
+    it('should decrement by one', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.decr('counter')).to.be.equal(-1);
+        yield metaDb.put('counter', 10);
+        expect(yield metaDb.decr('counter')).to.be.equal(9);
+        expect(yield metaDb.prefix('pre-').decr('counter')).to.be.equal(-1);
+      }));
+  });
+
+  describe('#compareAndSet()', () => {
+    let db = null;
+
+    before(() => {
+      db = new metaDb.MetaDB(sequelize, '__versioned', null, {version: true});
+      return db.schema.sync();
+    });
+
+    beforeEach(() => db.clear());
+
+    it('should fail when versioning is not enabled', done => {
+      metaDb.getWithVersion('key-1')
+        .then(() => done('it should not had succeeded'))
+        .catch(err => {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.be.equal('versioning is not enabled');
+          done();
+        }).catch(done);
+    });
+
+    it('should bump version on every write', () =>
+      task.spawn(function* () {
+        expect(yield db.getWithVersion('key-1')).to.be.deep.equal({
+          value: null,
+          version: null
+        });
+        yield db.put('key-1', 'value-1');
+        expect(yield db.getWithVersion('key-1')).to.be.deep.equal({
+          value: 'value-1',
+          version: 1
+        });
+        yield db.put('key-1', 'value-2');
+        yield db.assign('key-1', {a: 1});
+        yield db.assign('key-1', {b: 2});
+        expect(yield db.incr('key-2')).to.be.equal(1);
+        expect(yield db.incr('key-2')).to.be.equal(2);
+        expect(yield db.getWithVersion('key-1')).to.be.deep.equal({
+          value: {a: 1, b: 2},
+          version: 4
+        });
+        expect((yield db.getWithVersion('key-2')).version).to.be.equal(2);
+      }));
+
+    it('should set value only at expected version', () =>
+      task.spawn(function* () {
+        expect(yield db.compareAndSet('key-1', null, 'value-1'))
+          .to.be.equal(1);
+        expect(yield db.compareAndSet('key-1', 1, 'value-2'))
+          .to.be.equal(2);
+        expect(yield db.get('key-1')).to.be.equal('value-2');
+        expect(yield db.prefix('key-').compareAndSet('1', 2, 'value-3'))
+          .to.be.equal(3);
+        expect(yield db.get('key-1')).to.be.equal('value-3');
+      }));
+
+    it('should reject with conflict on stale version', () =>
+      task.spawn(function* () {
+        yield db.put('key-1', 'value-1');
+        const current = yield db.getWithVersion('key-1');
+        yield db.put('key-1', 'value-2');
+
+        for (const version of [current.version, null]) {
+          try {
+            yield db.compareAndSet('key-1', version, 'value-3');
+            throw new Error('it should not had succeeded');
+          } catch (err) {
+            expect(err).to.be.an.instanceof(metaDb.VersionConflictError);
+            expect(err.message).to.be.equal('version conflict: key-1');
+            expect(err.key).to.be.equal('key-1');
+            expect(err.expected).to.be.equal(version);
+          }
+        }
+
+        expect(yield db.get('key-1')).to.be.equal('value-2');
+      }));
+
+    it('should treat expired keys as missing', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield db.put('key-1', 'value-1');
+        yield db.expire('key-1', 1);
+        yield promise.delay(1100);
+        expect((yield db.getWithVersion('key-1')).version).to.be.null;
+        expect(yield db.compareAndSet('key-1', null, 'value-2'))
+          .to.be.equal(1);
+        expect(yield db.get('key-1')).to.be.equal('value-2');
+      });
+    });
+  });
+
+  describe('#mget()', () => {
+    it('should get multiple keys at once', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+        yield metaDb.put('key-2', {a: 2});
+        expect(yield metaDb.mget(['key-1', 'key-2', 'key-3']))
+          .to.be.deep.equal({
+            'key-1': {value: 'value-1', found: true},
+            'key-2': {value: {a: 2}, found: true},
+            'key-3': {value: null, found: false}
+          });
+        expect(yield metaDb.mget([])).to.be.deep.equal({});
+      }));
+
+    it('should work on prefixes', () =>
+      task.spawn(function* () {
+        const p = metaDb.prefix('pre-');
+        yield metaDb.put('key-1', 'value-1');
+        yield p.put('key-1', 'value-2');
+        expect(yield p.mget(['key-1', 'key-2'])).to.be.deep.equal({
+          'key-1': {value: 'value-2', found: true},
+          'key-2': {value: null, found: false}
+        });
+      }));
+  });
+
+  describe('#mput()', () => {
+    it('should put multiple values at once', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'old');
+        yield metaDb.expire('key-1', 1000);
+        yield metaDb.mput({'key-1': 'value-1', 'key-2': 2});
+        yield metaDb.mput([['key-3', true], ['key-3', false]]);
+        yield metaDb.mput(new Map([['key-4', {a: 4}]]));
+        expect(yield metaDb.get('key-1')).to.be.equal('value-1');
+        expect(yield metaDb.get('key-2')).to.be.equal(2);
+        expect(yield metaDb.get('key-3')).to.be.equal(false);
+        expect(yield metaDb.get('key-4')).to.be.deep.equal({a: 4});
+        expect(yield metaDb.count(null, {expires: {$ne: null}})).to.be.equal(0);
+      }));
+
+    it('should roll back with transaction', done => {
+      sequelize.transaction(t => task.spawn(function* () {
+        yield metaDb.mput({'key-1': 'value-1', 'key-2': 'value-2'}, t);
+        expect(yield metaDb.count(null, null, t)).to.be.equal(2);
+        throw new Error('oops');
+      })).then(() => done('it should not had succeeded')).catch(err => {
+        expect(err.message).to.be.equal('oops');
+        return metaDb.count().then(count => {
+          expect(count).to.be.equal(0);
+          done();
+        });
+      }).catch(done);
+    });
+
+    it('should work on prefixes', () =>
+      task.spawn(function* () {
+        yield metaDb.prefix('pre-').mput({'key-1': 'value-1'});
+        expect(yield metaDb.get('pre-key-1')).to.be.equal('value-1');
+      }));
+  });
+
+  describe('#mdelete()', () => {
+    it('should delete multiple keys at once', () =>
+      task.spawn(function* () {
+        yield metaDb.mput({'key-1': 1, 'key-2': 2, 'key-3': 3});
+        expect(yield metaDb.mdelete(['key-1', 'key-2', 'key-4']))
+          .to.be.equal(2);
+        expect(yield metaDb.count()).to.be.equal(1);
+        expect(yield metaDb.mdelete([])).to.be.equal(0);
+        expect(yield metaDb.prefix('key-').mdelete(['3'])).to.be.equal(1);
+        expect(yield metaDb.count()).to.be.equal(0);
+      }));
+  });
+
+  describe('#scan()', () => {
+    it('should page over items using cursor', () =>
+      task.spawn(function* () {
+        yield metaDb.mput({'key-1': 1, 'key-2': 2, 'key-3': 3, 'qqq-1': 4});
+        let page = yield metaDb.scan('key-*', {count: 2});
+        expect(page.records.map(x => [x.key, x.value])).to.be.deep.equal(
+          [['key-1', 1], ['key-2', 2]]);
+        expect(page.cursor).to.be.a('string');
+        yield metaDb.delete('key-1');
+        yield metaDb.put('key-0', 0);
+        page = yield metaDb.scan('key-*', {cursor: page.cursor, count: 2});
+        expect(page.records.map(x => [x.key, x.value])).to.be.deep.equal(
+          [['key-3', 3]]);
+        expect(page.cursor).to.be.null;
+        page = yield metaDb.scan(null, {count: 10});
+        expect(page.records.map(x => x.key)).to.be.deep.equal(
+          ['key-0', 'key-2', 'key-3', 'qqq-1']);
+        expect(page.cursor).to.be.null;
+      }));
+
+    it('should reject invalid count', () =>
+      task.spawn(function* () {
+        for (const count of [0, -1, 1.5, 'x']) {
+          try {
+            yield metaDb.scan(null, {count: count});
+            throw new Error('it should not had succeeded');
+          } catch (err) {
+            expect(err.message).to.be.equal(`invalid count: ${count}`);
+          }
+        }
+      }));
+
+    it('should work on prefixes', () =>
+      task.spawn(function* () {
+        yield metaDb.mput({'pre-key-1': 1, 'pre-key-2': 2, 'key-3': 3});
+        const p = metaDb.prefix('pre-');
+        let page = yield p.scan(null, {count: 1});
+        expect(page.records.map(x => [x.key, x.value])).to.be.deep.equal(
+          [['key-1', 1]]);
+        page = yield p.scan(null, {cursor: page.cursor, count: 1});
+        expect(page.records.map(x => [x.key, x.value])).to.be.deep.equal(
+          [['key-2', 2]]);
+        page = yield p.scan(null, {cursor: page.cursor, count: 1});
+        expect(page.records).to.be.deep.equal([]);
+        expect(page.cursor).to.be.null;
+      }));
+  });
+
+  describe('#entries()', () => {
+    it('should iterate over all matching items', () =>
+      task.spawn(function* () {
+        yield metaDb.mput({'key-1': 1, 'key-2': 2, 'key-3': 3, 'qqq-1': 4});
+        const iterator = metaDb.prefix('key-').entries(null, 2)[
+          Symbol.asyncIterator]();
+        const found = [];
+
+        for (;;) {
+          const next = yield iterator.next();
+
+          if (next.done) {
+            break;
+          }
+
+          found.push([next.value.key, next.value.value]);
+        }
+
+        expect(found).to.be.deep.equal([['1', 1], ['2', 2], ['3', 3]]);
+      }));
+  });
+
+  describe('#ttl()', () => {
+    it('should fail with non-existing key', done => {
+      metaDb.ttl('non-key')
+        .then(() => done('it should not had succeeded'))
+        .catch(err => {
+          expect(err).to.be.an.instanceof(Error);
+          expect(err.message).to.be.equal('key not found: non-key');
+          done();
+        }).catch(done);
+    });
+
+    it('should report remaining lifetime', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+        expect(yield metaDb.ttl('key-1')).to.be.null;
+        yield metaDb.expire('key-1', 100);
+        expect(yield metaDb.ttl('key-1')).to.be.equal(100);
+        expect(yield metaDb.prefix('key-').ttl('1')).to.be.equal(100);
+      }));
+  });
+
+  describe('#put() with ttl', () => {
+    it('should set expiration along with value', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1', {ttl: 1});
+        yield metaDb.put('key-2', 'value-2', {expiresAt: Date.now() + 1000});
+        yield metaDb.assign('key-3', {a: 1}, {ttl: 100});
+        expect(yield metaDb.ttl('key-1')).to.be.equal(1);
+        expect(yield metaDb.ttl('key-2')).to.be.equal(1);
+        expect(yield metaDb.ttl('key-3')).to.be.equal(100);
+        yield promise.delay(1100);
+        expect(yield metaDb.has('key-1')).to.be.false;
+        expect(yield metaDb.has('key-2')).to.be.false;
+        expect(yield metaDb.get('key-3')).to.be.deep.equal({a: 1});
+      });
+    });
+
+    it('should keep expiration when asked to', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1', {ttl: 100});
+        yield metaDb.put('key-1', 'value-2', {keepTtl: true});
+        expect(yield metaDb.ttl('key-1')).to.be.equal(100);
+        yield metaDb.assign('key-1', {a: 1}, {keepTtl: true});
+        expect(yield metaDb.ttl('key-1')).to.be.equal(100);
+        yield metaDb.put('key-1', 'value-3');
+        expect(yield metaDb.ttl('key-1')).to.be.null;
+        yield metaDb.put('key-2', 'value-2', {keepTtl: true});
+        expect(yield metaDb.ttl('key-2')).to.be.null;
+      }));
+
+    it('should not keep expiration of expired keys', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1', {ttl: 1});
+        yield promise.delay(1100);
+        yield metaDb.put('key-1', 'value-2', {keepTtl: true});
+        expect(yield metaDb.get('key-1')).to.be.equal('value-2');
+        expect(yield metaDb.ttl('key-1')).to.be.null;
+      });
+    });
+  });
+
+  describe('#persist()', () => {
+    it('should remove expiration', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1', {ttl: 100});
+        yield metaDb.persist('key-1');
+        expect(yield metaDb.ttl('key-1')).to.be.null;
+        yield metaDb.put('pre-key-1', 'value-1', {ttl: 100});
+        yield metaDb.prefix('pre-').persist('key-1');
+        expect(yield metaDb.ttl('pre-key-1')).to.be.null;
+      }));
+
+    it('should fail with non-existing key', done => {
+      metaDb.persist('non-key')
+        .then(() => done('it should not had succeeded'))
+        .catch(err => {
+          expect(err.message).to.be.equal('key not found: non-key');
+          done();
+        }).catch(done);
+    });
+  });
+
+  describe('#expireAt()', () => {
+    it('should expire key at given date', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+        yield metaDb.put('key-2', 'value-2');
+        yield metaDb.expireAt('key-1', new Date(Date.now() + 1000));
+        yield metaDb.prefix('key-').expireAt('2', Date.now() + 100000);
+        expect(yield metaDb.ttl('key-1')).to.be.equal(1);
+        expect(yield metaDb.ttl('key-2')).to.be.equal(100);
+        yield promise.delay(1100);
+        expect(yield metaDb.has('key-1')).to.be.false;
+        expect(yield metaDb.has('key-2')).to.be.true;
+      });
+    });
+
+    it('should reject invalid dates', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+
+        for (const date of ['garbage', NaN, new Date(NaN), null]) {
+          try {
+            yield metaDb.expireAt('key-1', date);
+            throw new Error('it should not had succeeded');
+          } catch (err) {
+            expect(err).to.be.an.instanceof(metaDb.ValidationError);
+            expect(err.message).to.be.equal(
+              `invalid value for key-1: invalid expiration date: ${date}`);
+          }
+        }
+
+        expect(yield metaDb.ttl('key-1')).to.be.null;
+      }));
+  });
+
+  describe('#deletePattern()', () => {
+    it('should delete matching keys only', () =>
+      task.spawn(function* () {
+        yield metaDb.mput({'key-1': 1, 'key-2': 2, 'qqq-1': 3});
+        expect(yield metaDb.deletePattern('key-*')).to.be.equal(2);
+        expect(yield metaDb.count()).to.be.equal(1);
+        expect(yield metaDb.has('qqq-1')).to.be.true;
+      }));
+
+    it('should stay inside prefix', () =>
+      task.spawn(function* () {
+        yield metaDb.mput({'pre-key-1': 1, 'pre-qqq-1': 2, 'key-1': 3});
+        expect(yield metaDb.prefix('pre-').deletePattern('key-*'))
+          .to.be.equal(1);
+        expect(yield metaDb.count()).to.be.equal(2);
+        expect(yield metaDb.has('key-1')).to.be.true;
+      }));
+  });
+
+  describe('#prefix() isolation', () => {
+    it('should clear only prefixed keys', () =>
+      task.spawn(function* () {
+        const p = metaDb.prefix('pre-');
+        yield metaDb.put('key-1', 'value-1');
+        yield p.put('key-1', 'value-2');
+        yield p.clear();
+        expect(yield p.count()).to.be.equal(0);
+        expect(yield metaDb.get('key-1')).to.be.equal('value-1');
+      }));
+
+    it('should not match other keys by wildcards of prefix', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        for (const prefix of ['user_', 'user?']) {
+          const p = metaDb.prefix(prefix);
+          yield metaDb.clear();
+          yield metaDb.mput({'userX1': 1, 'userX2': 2});
+          yield p.mput({'1': 3, '2': 4});
+          yield p.deletePattern('1');
+          expect(yield metaDb.has('userX1')).to.be.true;
+          expect(yield p.has('1')).to.be.false;
+          yield p.clear();
+          expect(iterable.from(yield metaDb.all())
+            .select(x => x.key)
+            .orderBy()
+            .toArray()).to.be.deep.equal(['userX1', 'userX2']);
+        }
+
+        const p = metaDb.prefix('user?');
+        yield metaDb.expire('userX1', 1);
+        yield p.put('3', 5, {ttl: 1});
+        yield promise.delay(1100);
+        yield p.gc();
+        expect(yield metaDb.count(null, {expires: {$ne: null}}))
+          .to.be.equal(1);
+        expect(yield p.count()).to.be.equal(0);
+      });
+    });
+
+    it('should expire prefixed key', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        const p = metaDb.prefix('pre-');
+        yield metaDb.put('key-1', 'value-1');
+        yield p.put('key-1', 'value-2');
+        yield p.expire('key-1', 1);
+        yield promise.delay(1100);
+        expect(yield p.has('key-1')).to.be.false;
+        expect(yield metaDb.get('key-1')).to.be.equal('value-1');
+      });
+    });
+
+    it('should collect garbage only under prefix', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        const p = metaDb.prefix('pre-');
+        yield metaDb.put('key-1', 'value-1', {ttl: 1});
+        yield p.put('key-1', 'value-2', {ttl: 1});
+        yield promise.delay(1100);
+        expect(yield metaDb.count(null, {expires: {$ne: null}}))
+          .to.be.equal(2);
+        yield p.gc();
+        expect(yield metaDb.count(null, {expires: {$ne: null}}))
+          .to.be.equal(1);
+        expect(yield metaDb.count('pre-*', {expires: {$ne: null}}))
+          .to.be.equal(0);
+      });
+    });
+  });
+
+  describe('#events', () => {
+    let db = null;
+    let events = null;
+
+    const listen = emitter => {
+      for (const event of ['set', 'delete', 'expire', 'evicted', 'clear']) {
+        emitter.on(event, payload => events.push([event, payload]));
+      }
+    };
+
+    beforeEach(() => {
+      db = new metaDb.MetaDB(sequelize, metaDb.tableName());
+      events = [];
+    });
+
+    it('should emit set and delete events', () =>
+      task.spawn(function* () {
+        listen(db);
+        yield db.put('key-1', 'value-1');
+        yield db.put('key-1', 'value-2');
+        yield db.incr('key-2');
+        yield db.delete('key-1');
+        yield db.delete('key-1');
+        expect(events).to.be.deep.equal([
+          ['set', {key: 'key-1', oldValue: null, value: 'value-1'}],
+          ['set', {key: 'key-1', oldValue: 'value-1', value: 'value-2'}],
+          ['set', {key: 'key-2', oldValue: null, value: 1}],
+          ['delete', {key: 'key-1', oldValue: 'value-2'}]
+        ]);
+      }));
+
+    it('should emit batch events', () =>
+      task.spawn(function* () {
+        listen(db);
+        yield db.mput({'key-1': 1, 'key-2': 2});
+        yield db.mdelete(['key-1']);
+        yield db.deletePattern('key-*');
+        expect(events).to.be.deep.equal([
+          ['set', {key: 'key-1', oldValue: null, value: 1}],
+          ['set', {key: 'key-2', oldValue: null, value: 2}],
+          ['delete', {key: 'key-1', oldValue: 1}],
+          ['delete', {key: 'key-2', oldValue: 2}]
+        ]);
+      }));
+
+    it('should emit expire and evicted events', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield db.put('key-1', 'value-1');
+        yield db.put('key-2', 'value-2');
+        listen(db);
+        const date = new Date(Date.now() + 1000);
+        yield db.expireAt('key-1', date);
+        yield promise.delay(1100);
+        expect((yield db.gc()).keys).to.be.deep.equal(['key-1']);
+        yield db.clear();
+        expect(events).to.be.deep.equal([
+          ['expire', {key: 'key-1', expires: date}],
+          ['evicted', {key: 'key-1', oldValue: 'value-1'}],
+          ['clear', {}]
+        ]);
+      });
+    });
+
+    it('should emit set events of hash fields on hash', () =>
+      task.spawn(function* () {
+        listen(db);
+        yield db.hincrby('stats', 'views', 2);
+        yield db.hincrby('stats', 'views', 3);
+        expect(events).to.be.deep.equal([
+          ['set', {key: 'stats', field: 'views', oldValue: null, value: 2}],
+          ['set', {key: 'stats', field: 'views', oldValue: 2, value: 5}]
+        ]);
+
+        yield db.hset('stats', 'name', 'x');
+
+        try {
+          yield db.hincrby('stats', 'name', 1);
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'value of field name is not a number: stats');
+        }
+      }));
+
+    it('should emit events after commit', () =>
+      sequelize.transaction(t => task.spawn(function* () {
+        listen(db);
+        yield db.put('key-1', 'value-1', null, t);
+        expect(events).to.be.deep.equal([]);
+      })).then(() => {
+        expect(events).to.be.deep.equal([
+          ['set', {key: 'key-1', oldValue: null, value: 'value-1'}]
+        ]);
+      }));
+
+    it('should not emit events of rolled back transactions', done => {
+      listen(db);
+      sequelize.transaction(t => task.spawn(function* () {
+        yield db.put('key-1', 'value-1', null, t);
+        throw new Error('oops');
+      })).then(() => done('it should not had succeeded')).catch(err => {
+        expect(err.message).to.be.equal('oops');
+        expect(events).to.be.deep.equal([]);
+        done();
+      }).catch(done);
+    });
+
+    it('should emit events on prefixes', () =>
+      task.spawn(function* () {
+        const p = db.prefix('pre-');
+        listen(p);
+        yield db.put('key-1', 'value-1');
+        yield p.put('key-1', 'value-2');
+        yield p.delete('key-1');
+        expect(events).to.be.deep.equal([
+          ['set', {key: 'key-1', oldValue: null, value: 'value-2'}],
+          ['delete', {key: 'key-1', oldValue: 'value-2'}]
+        ]);
+        p.removeAllListeners('set');
+        expect(db.listenerCount('set')).to.be.equal(0);
+        expect(db.listenerCount('delete')).to.be.equal(1);
+      }));
+  });
+
+  describe('#cache', () => {
+    let db = null;
+
+    beforeEach(() => {
+      db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+        cache: {max: 2, maxAge: 1}
+      });
+    });
+
+    it('should not have statistics without cache', () => {
+      expect(metaDb.cacheStats()).to.be.null;
+    });
+
+    it('should reject invalid max number of entries', () => {
+      for (const max of [null, 0, -1, 1.5, '10']) {
+        expect(() => new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          cache: {max: max}
+        })).to.throw(Error, 'invalid cache max');
+      }
+    });
+
+    it('should serve values from cache', () =>
+      task.spawn(function* () {
+        yield db.put('key-1', {a: 1});
+        expect(yield db.get('key-1')).to.be.deep.equal({a: 1});
+        yield metaDb.put('key-1', {a: 2});
+        const value = yield db.get('key-1');
+        expect(value).to.be.deep.equal({a: 1});
+        value.a = 3;
+        expect(yield db.get('key-1')).to.be.deep.equal({a: 1});
+        expect(db.cacheStats).to.be.deep.equal({hits: 2, misses: 1, size: 1});
+      }));
+
+    it('should invalidate on writes', () =>
+      task.spawn(function* () {
+        yield db.put('key-1', 'value-1');
+        expect(yield db.get('key-1')).to.be.equal('value-1');
+        yield db.put('key-1', 'value-2');
+        expect(yield db.get('key-1')).to.be.equal('value-2');
+        yield db.assign('key-1', {a: 1});
+        expect(yield db.get('key-1')).to.be.deep.equal({a: 1});
+        yield db.delete('key-1');
+        expect(yield db.has('key-1')).to.be.false;
+        yield db.put('key-1', 'value-3');
+        expect(yield db.get('key-1')).to.be.equal('value-3');
+        yield db.clear();
+        expect(yield db.has('key-1')).to.be.false;
+      }));
+
+    it('should honour expiration and max age', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield db.put('key-1', 'value-1');
+        yield db.put('key-2', 'value-2', {ttl: 1});
+        expect(yield db.get('key-1')).to.be.equal('value-1');
+        expect(yield db.get('key-2')).to.be.equal('value-2');
+        yield metaDb.put('key-1', 'value-3');
+        yield promise.delay(1100);
+        expect(yield db.get('key-1')).to.be.equal('value-3');
+        expect(yield db.has('key-2')).to.be.false;
+      });
+    });
+
+    it('should evict least recently used entries', () =>
+      task.spawn(function* () {
+        yield db.mput({'key-1': 1, 'key-2': 2, 'key-3': 3});
+        yield db.get('key-1');
+        yield db.get('key-2');
+        yield db.get('key-1');
+        yield db.get('key-3');
+        expect(db.cacheStats).to.be.deep.equal({hits: 1, misses: 3, size: 2});
+        yield db.get('key-1');
+        yield db.get('key-2');
+        expect(db.cacheStats).to.be.deep.equal({hits: 2, misses: 4, size: 2});
+      }));
+
+    it('should not cache reads inside transactions', () =>
+      sequelize.transaction(t => task.spawn(function* () {
+        yield db.put('key-1', 'value-1', null, t);
+        expect(yield db.get('key-1', t)).to.be.equal('value-1');
+        expect(db.cacheStats.size).to.be.equal(0);
+      })));
+  });
+
+  describe('#serializer', () => {
+    it('should round-trip special types with typed serializer', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          serializer: metaDb.serializers.typed
+        });
+        const value = {
+          date: new Date(1000),
+          map: new Map([['a', new Set([1, 2])]]),
+          big: BigInt('12345678901234567890'),
+          regex: /ab+c/gi,
+          buffer: Buffer.from('hello'),
+          $type: 'not a tag'
+        };
+
+        yield db.put('key-1', value);
+        const result = yield db.get('key-1');
+        expect(result.date).to.be.an.instanceof(Date);
+        expect(result.date.getTime()).to.be.equal(1000);
+        expect(Array.from(result.map.get('a'))).to.be.deep.equal([1, 2]);
+        expect(result.big === value.big).to.be.true;
+        expect(result.regex.source).to.be.equal('ab+c');
+        expect(result.regex.flags).to.be.equal('gi');
+        expect(result.buffer.toString()).to.be.equal('hello');
+        expect(result.$type).to.be.equal('not a tag');
+      }));
+
+    it('should read rows written by json serializer', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          serializer: metaDb.serializers.typed
+        });
+
+        yield metaDb.put('key-1', {a: [1, 'b']});
+        expect(yield db.get('key-1')).to.be.deep.equal({a: [1, 'b']});
+        expect(yield db.incr('key-2')).to.be.equal(1);
+        expect(yield metaDb.get('key-2')).to.be.equal(1);
+      }));
+
+    it('should use custom serializers', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(new Sequelize({
+          dialect: 'sqlite',
+          storage: ':memory:'
+        }), null, null, {
+          serializer: {
+            encode: value => `<${value}>`,
+            decode: text => text.substr(1, text.length - 2)
+          }
+        });
+
+        yield db.schema.sync();
+        yield db.put('key-1', 'hello');
+        expect(yield db.get('key-1')).to.be.equal('hello');
+        expect((yield db.schema.findOne({where: {key: 'key-1'}}))
+          .getDataValue('value')).to.be.equal('<hello>');
+
+        try {
+          yield db.incr('key-2');
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'serializer does not support atomic increments');
+        }
+      }));
+  });
+
+  describe('#encryption', () => {
+    const key1 = Buffer.alloc(32, 1);
+    const key2 = Buffer.alloc(32, 2).toString('base64');
+
+    it('should encrypt stored values', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: {k1: key1},
+            current: 'k1'
+          }
+        });
+
+        yield db.put('key-1', {token: 'secret'});
+        expect(yield db.get('key-1')).to.be.deep.equal({token: 'secret'});
+
+        const text = (yield db.schema.findOne({where: {key: 'key-1'}}))
+          .getDataValue('value');
+        expect(text.startsWith('$enc2:k1:')).to.be.true;
+        expect(text).to.not.contain('secret');
+
+        try {
+          yield db.incr('key-2');
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err.message).to.be.equal(
+            'serializer does not support atomic increments');
+        }
+      }));
+
+    it('should reject invalid keys', () => {
+      expect(() => new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+        encryption: {
+          keys: {k1: Buffer.alloc(16)},
+          current: 'k1'
+        }
+      })).to.throw('encryption key must be 32 bytes long: k1');
+      expect(() => new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+        encryption: {
+          keys: {k1: key1},
+          current: 'k2'
+        }
+      })).to.throw('unknown encryption key: k2');
+    });
+
+    it('should re-encrypt rows using current key', () =>
+      task.spawn(function* () {
+        const old = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: {k1: key1},
+            current: 'k1'
+          }
+        });
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: {k1: key1, k2: key2},
+            current: 'k2'
+          }
+        });
+
+        yield metaDb.put('plain', 'a');
+        for (let i = 0; i < 5; i++) {
+          yield old.put(`key-${i}`, i);
+        }
+        yield old.put('other-1', 'b');
+
+        expect(yield db.prefix('key-').rotateKeys(null, 2)).to.be.equal(5);
+        expect(yield db.rotateKeys()).to.be.equal(2);
+        expect(yield db.rotateKeys()).to.be.equal(0);
+
+        const records = yield db.schema.findAll();
+        expect(records.length).to.be.equal(7);
+        for (const record of records) {
+          expect(record.getDataValue('value').startsWith('$enc2:k2:'))
+            .to.be.true;
+        }
+
+        const current = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: {k2: key2},
+            current: 'k2'
+          }
+        });
+        expect(yield current.get('key-3')).to.be.equal(3);
+        expect(yield current.get('plain')).to.be.equal('a');
+        expect(yield current.get('other-1')).to.be.equal('b');
+      }));
+
+    it('should bind encrypted values to their keys', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: {k1: key1},
+            current: 'k1'
+          }
+        });
+
+        yield db.put('key-1', 'a');
+        yield db.put('key-2', 'b');
+
+        const text = (yield db.schema.findOne({where: {key: 'key-1'}}))
+          .getDataValue('value');
+
+        yield db.schema.update({value: text}, {
+          where: {key: 'key-2'},
+          validate: false
+        });
+        expect(yield db.get('key-1')).to.be.equal('a');
+
+        try {
+          yield db.get('key-2');
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err.message).to.not.be.equal('it should not had succeeded');
+        }
+      }));
+
+    it('should rotate values of earlier versions and ids differing in case',
+      () => task.spawn(function* () {
+        const legacy = (id, secret, value) => {
+          const iv = crypto.randomBytes(12);
+          const cipher = crypto.createCipheriv('aes-256-gcm', secret, iv);
+          const data = Buffer.concat([
+            cipher.update(JSON.stringify({value: value}), 'utf8'),
+            cipher.final()
+          ]);
+
+          return ['$enc', id, iv.toString('base64'),
+            cipher.getAuthTag().toString('base64'),
+            data.toString('base64')].join(':');
+        };
+        const keys = {k: key1, K: key2};
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: keys,
+            current: 'K'
+          }
+        });
+
+        yield db.schema.create({
+          key: 'old',
+          value: legacy('K', Buffer.from(key2, 'base64'), 'a')
+        }, {raw: true});
+        expect(yield db.get('old')).to.be.equal('a');
+
+        yield new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          encryption: {
+            keys: keys,
+            current: 'k'
+          }
+        }).put('lower', 'b');
+        yield db.put('upper', 'c');
+
+        expect(yield db.rotateKeys()).to.be.equal(2);
+
+        for (const record of yield db.schema.findAll()) {
+          expect(record.getDataValue('value').startsWith('$enc2:K:'))
+            .to.be.true;
+        }
+
+        expect(yield db.get('old')).to.be.equal('a');
+        expect(yield db.get('lower')).to.be.equal('b');
+      }));
+
+    it('should fail when encryption is not enabled', () =>
+      metaDb.rotateKeys()
+        .then(() => Promise.reject(new Error('it should not had succeeded')))
+        .catch(err => {
+          expect(err.message).to.be.equal('encryption is not enabled');
+        }));
+  });
+
+  describe('#compression', () => {
+    it('should compress large values', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          compression: {
+            threshold: 100
+          }
+        });
+        const large = 'abc'.repeat(1000);
+
+        yield metaDb.put('plain', large);
+        yield db.put('key-1', large);
+        yield db.put('key-2', 'small');
+
+        expect(yield db.get('key-1')).to.be.equal(large);
+        expect(yield db.get('key-2')).to.be.equal('small');
+        expect(yield db.get('plain')).to.be.equal(large);
+        expect((yield db.schema.findOne({where: {key: 'key-1'}}))
+          .getDataValue('value').startsWith('$gz:')).to.be.true;
+        expect((yield db.schema.findOne({where: {key: 'key-2'}}))
+          .getDataValue('value')).to.be.equal('{"value":"small"}');
+
+        const stats = db.compressionStats;
+        expect(stats.compressed).to.be.equal(1);
+        expect(stats.uncompressed).to.be.equal(1);
+        expect(stats.bytesSaved).to.be.above(2000);
+        expect(yield db.incr('key-3')).to.be.equal(1);
+        expect(metaDb.compressionStats()).to.be.null;
+      }));
+
+    it('should support brotli along with encryption', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          compression: {
+            threshold: 10,
+            algorithm: 'brotli'
+          },
+          encryption: {
+            keys: {k1: Buffer.alloc(32, 1)},
+            current: 'k1'
+          }
+        });
+        const value = {list: Array(100).fill('item')};
+
+        yield db.put('key-1', value);
+        expect(yield db.get('key-1')).to.be.deep.equal(value);
+        expect(db.compressionStats.compressed).to.be.equal(1);
+      }));
+
+    it('should reject unknown algorithms', () => {
+      expect(() => new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+        compression: {
+          algorithm: 'lz4'
+        }
+      })).to.throw('unsupported compression algorithm: lz4');
+    });
+  });
+
+  describe('#addValidator', () => {
+    afterEach(() => {
+      metaDb.removeValidator('config:*');
+      metaDb.removeValidator('name:*');
+    });
+
+    it('should reject values failing JSON Schema', () =>
+      task.spawn(function* () {
+        metaDb.addValidator('config:*', {
+          type: 'object',
+          required: ['port'],
+          properties: {
+            port: {
+              type: 'integer'
+            }
+          }
+        });
+
+        yield metaDb.put('config:db', {port: 5432});
+        yield metaDb.assign('config:db', {host: 'localhost'});
+        yield metaDb.put('other', {port: 'x'});
+
+        try {
+          yield metaDb.put('config:web', {port: 'x'});
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(metaDb.ValidationError);
+          expect(err.key).to.be.equal('config:web');
+          expect(err.pattern).to.be.equal('config:*');
+          expect(err.message).to.be.equal(
+            'invalid value for config:web: value.port should be integer');
+        }
+
+        try {
+          yield metaDb.assign('config:db', {port: 'x'});
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(metaDb.ValidationError);
+        }
+
+        expect(yield metaDb.get('config:db')).to.be.deep.equal({
+          port: 5432,
+          host: 'localhost'
+        });
+        expect(yield metaDb.has('config:web')).to.be.false;
+      }));
+
+    it('should reject batch writes using validator functions', () =>
+      task.spawn(function* () {
+        metaDb.addValidator('name:*', value =>
+          typeof value === 'string' || 'value should be a string');
+
+        try {
+          yield metaDb.mput({
+            'name:1': 'a',
+            'name:2': 2
+          });
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(metaDb.ValidationError);
+          expect(err.key).to.be.equal('name:2');
+          expect(err.reason).to.be.equal('value should be a string');
+        }
+
+        expect(yield metaDb.count()).to.be.equal(0);
+        expect(metaDb.removeValidator('name:*')).to.be.true;
+        yield metaDb.mput({'name:2': 2});
+        expect(yield metaDb.get('name:2')).to.be.equal(2);
+      }));
+
+    it('should reject writes when validator throws', () =>
+      task.spawn(function* () {
+        metaDb.addValidator('name:*', () => {
+          throw new Error('validator broke');
+        });
+
+        try {
+          yield metaDb.put('name:1', 'a');
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(metaDb.ValidationError);
+          expect(err.key).to.be.equal('name:1');
+          expect(err.reason).to.be.equal('validator broke');
+        }
+
+        try {
+          yield metaDb.mput({'name:2': 'b'});
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(metaDb.ValidationError);
+        }
+
+        expect(yield metaDb.count()).to.be.equal(0);
+      }));
+
+    it('should validate keys under prefix', () =>
+      task.spawn(function* () {
+        const p = metaDb.prefix('config:');
+
+        p.addValidator('*', value => value !== null);
+
+        try {
+          yield p.put('db', null);
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err.key).to.be.equal('config:db');
+          expect(err.reason).to.be.equal('rejected by validator');
+        }
+
+        yield metaDb.put('db', null);
+        expect(p.removeValidator('*')).to.be.true;
+      }));
+  });
+
+  describe('#locks', () => {
+    it('should allow a single holder', () =>
+      task.spawn(function* () {
+        const lock = yield metaDb.acquireLock('job', {owner: 'a'});
+        expect(lock.name).to.be.equal('job');
+        expect(lock.owner).to.be.equal('a');
+        expect(yield metaDb.acquireLock('job', {owner: 'b'})).to.be.null;
+        expect(yield metaDb.releaseLock('job', {owner: 'b'})).to.be.false;
+        expect(yield metaDb.renewLock('job', {owner: 'b'})).to.be.null;
+        expect(yield metaDb.releaseLock('job', lock)).to.be.true;
+        expect((yield metaDb.acquireLock('job', {owner: 'b'})).owner)
+          .to.be.equal('b');
+      }));
+
+    it('should free locks of crashed holders', function() {
+      this.timeout(5000);
+
+      return task.spawn(function* () {
+        yield metaDb.acquireLock('job', {ttl: 1});
+        expect(yield metaDb.acquireLock('job')).to.be.null;
+        yield promise.delay(1100);
+        expect((yield metaDb.gc()).keys).to.be.deep.equal(['job']);
+        yield metaDb.acquireLock('job', {ttl: 1});
+        yield promise.delay(1100);
+        expect(yield metaDb.acquireLock('job')).to.not.be.null;
+      });
+    });
+
+    it('should renew leases', () =>
+      task.spawn(function* () {
+        const lock = yield metaDb.acquireLock('job', {ttl: 1});
+        yield promise.delay(500);
+        const renewed = yield metaDb.renewLock('job', {
+          owner: lock.owner,
+          ttl: 10
+        });
+        expect(renewed.expires.getTime())
+          .to.be.above(lock.expires.getTime());
+        yield promise.delay(600);
+        expect(yield metaDb.acquireLock('job')).to.be.null;
+        expect(yield metaDb.ttl('job')).to.be.above(5);
+      }));
+
+    it('should run functions while holding locks', () =>
+      task.spawn(function* () {
+        const p = metaDb.prefix('locks:');
+        const result = yield p.withLock('job', lock => task.spawn(function* () {
+          expect(lock.name).to.be.equal('job');
+          expect(yield metaDb.has('locks:job')).to.be.true;
+
+          try {
+            yield p.withLock('job', () => 'never');
+            throw new Error('it should not had succeeded');
+          } catch (err) {
+            expect(err).to.be.an.instanceof(metaDb.LockError);
+            expect(err.key).to.be.equal('locks:job');
+          }
+
+          return 'done';
+        }));
+
+        expect(result).to.be.equal('done');
+        expect(yield metaDb.has('locks:job')).to.be.false;
+
+        try {
+          yield metaDb.withLock('job', () => {
+            throw new Error('failed');
+          });
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err.message).to.be.equal('failed');
+        }
+
+        expect(yield metaDb.has('job')).to.be.false;
+      }));
+  });
+
+  describe('#rateLimiter', () => {
+    it('should limit units in fixed windows', () =>
+      task.spawn(function* () {
+        const limiter = metaDb.rateLimiter({
+          limit: 3,
+          window: 1
+        });
+
+        let result = yield limiter.consume('user-1', 2);
+        expect(result.allowed).to.be.true;
+        expect(result.remaining).to.be.equal(1);
+        expect(result.resetAt).to.be.an.instanceof(Date);
+
+        result = yield limiter.consume('user-1', 2);
+        expect(result.allowed).to.be.false;
+        expect(result.remaining).to.be.equal(1);
+
+        result = yield limiter.consume('user-1');
+        expect(result.allowed).to.be.true;
+        expect(result.remaining).to.be.equal(0);
+        expect((yield limiter.consume('user-2')).allowed).to.be.true;
+        expect(yield metaDb.get('user-1')).to.be.equal(3);
+
+        yield promise.delay(1100);
+        expect((yield limiter.consume('user-1', 3)).allowed).to.be.true;
+        expect(yield limiter.reset('user-1')).to.be.true;
+        expect((yield limiter.consume('user-1', 4)).allowed).to.be.false;
+      }));
+
+    it('should not exceed limit under concurrency', () =>
+      task.spawn(function* () {
+        const limiter = metaDb.prefix('rate:').rateLimiter({
+          limit: 5,
+          window: 10
+        });
+        const results = yield Promise.all(Array.from(Array(8),
+          () => limiter.consume('user-1')));
+
+        expect(results.filter(result => result.allowed).length)
+          .to.be.equal(5);
+        expect(yield metaDb.get('rate:user-1')).to.be.equal(5);
+      }));
+
+    it('should refill token buckets', () =>
+      task.spawn(function* () {
+        const limiter = metaDb.rateLimiter({
+          mode: 'bucket',
+          limit: 4,
+          window: 2
+        });
+
+        let result = yield limiter.consume('user-1', 4);
+        expect(result.allowed).to.be.true;
+        expect(result.remaining).to.be.equal(0);
+        expect((yield limiter.consume('user-1')).allowed).to.be.false;
+
+        yield promise.delay(1100);
+        result = yield limiter.consume('user-1');
+        expect(result.allowed).to.be.true;
+        expect(result.remaining).to.be.equal(1);
+        expect(result.resetAt.getTime()).to.be.above(Date.now());
+        expect(yield metaDb.ttl('user-1')).to.be.at.most(2);
+      }));
+
+    it('should reject invalid options', () => {
+      expect(() => metaDb.rateLimiter({
+        mode: 'sliding',
+        limit: 1,
+        window: 1
+      })).to.throw('unknown rate limiter mode: sliding');
+      expect(() => metaDb.rateLimiter({
+        limit: 0,
+        window: 1
+      })).to.throw('limit and window should be positive numbers');
+    });
+  });
+
+  describe('#lists', () => {
+    it('should push and pop at both ends', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.rpush('list', 'b')).to.be.equal(1);
+        expect(yield metaDb.rpush('list', ['c', 'd'])).to.be.equal(3);
+        expect(yield metaDb.lpush('list', ['a', 'z'])).to.be.equal(5);
+        expect(yield metaDb.lpush('list', [[1, 2]])).to.be.equal(6);
+        expect(yield metaDb.lrange('list')).to.be.deep.equal(
+          [[1, 2], 'z', 'a', 'b', 'c', 'd']);
+        expect(yield metaDb.llen('list')).to.be.equal(6);
+        expect(yield metaDb.lpop('list')).to.be.deep.equal([1, 2]);
+        expect(yield metaDb.rpop('list')).to.be.equal('d');
+        expect(yield metaDb.lrange('list', 1, -2)).to.be.deep.equal(
+          ['a', 'b']);
+        expect(yield metaDb.lrange('list', -2)).to.be.deep.equal(['b', 'c']);
+        expect(yield metaDb.lrange('list', 3, 1)).to.be.deep.equal([]);
+        expect(yield metaDb.lpop('other')).to.be.null;
+        expect(yield metaDb.llen('other')).to.be.equal(0);
+      }));
+
+    it('should trim lists', () =>
+      task.spawn(function* () {
+        yield metaDb.rpush('list', ['a', 'b', 'c', 'd', 'e']);
+        yield metaDb.ltrim('list', 1, -2);
+        expect(yield metaDb.lrange('list')).to.be.deep.equal(['b', 'c', 'd']);
+        yield metaDb.ltrim('list', 0, 10);
+        expect(yield metaDb.llen('list')).to.be.equal(3);
+        yield metaDb.ltrim('list', 5, 10);
+        expect(yield metaDb.llen('list')).to.be.equal(0);
+      }));
+
+    it('should delete and expire whole lists', () =>
+      task.spawn(function* () {
+        yield metaDb.rpush('list', ['a', 'b']);
+        yield metaDb.rpush('list_2', ['c']);
+        yield metaDb.rpush('List', ['d']);
+        expect(yield metaDb.delete('list')).to.be.true;
+        expect(yield metaDb.llen('list')).to.be.equal(0);
+        expect(yield metaDb.llen('list_2')).to.be.equal(1);
+        expect(yield metaDb.llen('List')).to.be.equal(1);
+
+        yield metaDb.expire('list_2', 1);
+        expect(yield metaDb.ttl('list_2')).to.be.equal(1);
+        expect(yield metaDb.rpush('list_2', 'e')).to.be.equal(2);
+        yield promise.delay(1100);
+        expect(yield metaDb.llen('list_2')).to.be.equal(0);
+        expect(yield metaDb.rpush('list_2', 'f')).to.be.equal(1);
+        expect(yield metaDb.ttl('list_2')).to.be.null;
+      }));
+
+    it('should work inside transactions and prefixes', () =>
+      task.spawn(function* () {
+        const p = metaDb.prefix('queue:');
+
+        yield sequelize.transaction(t => task.spawn(function* () {
+          yield p.rpush('jobs', ['a', 'b'], t);
+          expect(yield p.lpop('jobs', t)).to.be.equal('a');
+        }));
+
+        expect(yield metaDb.lrange('queue:jobs')).to.be.deep.equal(['b']);
+
+        try {
+          yield sequelize.transaction(t => task.spawn(function* () {
+            yield p.rpush('jobs', 'c', t);
+            throw new Error('rollback');
+          }));
+        } catch (err) {
+          expect(err.message).to.be.equal('rollback');
+        }
+
+        expect(yield p.lrange('jobs')).to.be.deep.equal(['b']);
+      }));
+
+    it('should keep elements out of key space', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key', 'value');
+        yield metaDb.rpush('list', ['a', 'b']);
+        yield metaDb.hset('user', 'name', 'john');
+
+        expect(yield metaDb.count()).to.be.equal(1);
+        expect((yield metaDb.all()).map(record => record.key))
+          .to.be.deep.equal(['key']);
+        expect((yield metaDb.scan()).records.map(record => record.key))
+          .to.be.deep.equal(['key']);
+        expect(yield metaDb.has('list')).to.be.true;
+        expect(yield metaDb.has('user')).to.be.true;
+        expect(yield metaDb.has('missing')).to.be.false;
+
+        yield metaDb.rpush('l1', 'x');
+        expect(yield metaDb.deletePattern('*l1*')).to.be.equal(1);
+        expect(yield metaDb.lrange('list')).to.be.deep.equal(['a', 'b']);
+        expect(yield metaDb.deletePattern('li*')).to.be.equal(2);
+        expect(yield metaDb.has('list')).to.be.false;
+
+        const p = metaDb.prefix('user:');
+
+        yield p.rpush('list', 'x');
+        yield p.clear();
+        expect(yield p.llen('list')).to.be.equal(0);
+        expect(yield metaDb.hgetall('user')).to.be.deep.equal({
+          name: 'john'
+        });
+      }));
+  });
+
+  describe('#hashes', () => {
+    it('should set and get fields', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.hset('user', 'name', 'john')).to.be.true;
+        expect(yield metaDb.hset('user', 'tags', ['a'])).to.be.true;
+        expect(yield metaDb.hset('user', 'name', 'jane')).to.be.false;
+        expect(yield metaDb.hget('user', 'name')).to.be.equal('jane');
+        expect(yield metaDb.hget('user', 'age')).to.be.null;
+        expect(yield metaDb.hmget('user', ['name', 'age'])).to.be.deep.equal({
+          name: {
+            value: 'jane',
+            found: true
+          },
+          age: {
+            value: null,
+            found: false
+          }
+        });
+        expect(yield metaDb.hgetall('user')).to.be.deep.equal({
+          name: 'jane',
+          tags: ['a']
+        });
+        expect(yield metaDb.hgetall('other')).to.be.deep.equal({});
+        expect(yield metaDb.hdel('user', ['tags', 'age'])).to.be.equal(1);
+        expect(yield metaDb.hgetall('user')).to.be.deep.equal({
+          name: 'jane'
+        });
+      }));
+
+    it('should increment fields atomically', () =>
+      task.spawn(function* () {
+        yield metaDb.hset('stats', 'views', 1);
+        expect(yield metaDb.hincrby('stats', 'views', 2)).to.be.equal(3);
+        expect(yield metaDb.hincrby('stats', 'likes', -1)).to.be.equal(-1);
+        expect(yield metaDb.hgetall('stats')).to.be.deep.equal({
+          views: 3,
+          likes: -1
+        });
+      }));
+
+    it('should update fields independently', () =>
+      task.spawn(function* () {
+        const p = metaDb.prefix('hash:');
+
+        yield p.hset('user', 'a', 1);
+        yield p.hset('user', 'b', 2);
+        yield p.hset('user', 'c', 3);
+
+        expect(yield metaDb.hgetall('hash:user')).to.be.deep.equal({
+          a: 1,
+          b: 2,
+          c: 3
+        });
+      }));
+
+    it('should delete and expire whole hashes', () =>
+      task.spawn(function* () {
+        yield metaDb.hset('user', 'name', 'john');
+        yield metaDb.hset('user_2', 'name', 'jane');
+        expect(yield metaDb.delete('user')).to.be.true;
+        expect(yield metaDb.hgetall('user')).to.be.deep.equal({});
+
+        yield metaDb.expire('user_2', 1);
+        yield metaDb.hset('user_2', 'age', 20);
+        expect(yield metaDb.ttl('user_2')).to.be.equal(1);
+        yield promise.delay(1100);
+        expect(yield metaDb.hgetall('user_2')).to.be.deep.equal({});
+        const stats = yield metaDb.gc();
+
+        expect(stats.removed).to.be.equal(2);
+        expect(stats.keys).to.be.deep.equal([]);
+      }));
+  });
+
+  describe('#sorted sets', () => {
+    let db = null;
+
+    before(() => {
+      db = new metaDb.MetaDB(new Sequelize({
+        dialect: 'sqlite',
+        storage: ':memory:'
+      }), null, null, {score: true});
+      return db.schema.sync();
+    });
+
+    beforeEach(() => db.clear());
+
+    it('should fail when sorted sets are not enabled', done => {
+      metaDb.zadd('board', 1, 'a')
+        .then(() => done('it should not had succeeded'))
+        .catch(err => {
+          expect(err.message).to.be.equal('sorted sets are not enabled');
+          done();
+        });
+    });
+
+    it('should order members by score', () =>
+      task.spawn(function* () {
+        expect(yield db.zadd('board', 10, 'b')).to.be.true;
+        expect(yield db.zadd('board', 5, 'c')).to.be.true;
+        expect(yield db.zadd('board', 10, 'a')).to.be.true;
+        expect(yield db.zadd('board', 1, 'c')).to.be.false;
+        expect(yield db.zcard('board')).to.be.equal(3);
+        expect(yield db.zrange('board')).to.be.deep.equal(['c', 'a', 'b']);
+        expect(yield db.zrange('board', 0, 1, {
+          reverse: true,
+          withScores: true
+        })).to.be.deep.equal([{
+          member: 'b',
+          score: 10
+        }, {
+          member: 'a',
+          score: 10
+        }]);
+        expect(yield db.zrange('board', -2)).to.be.deep.equal(['a', 'b']);
+        expect(yield db.zrank('board', 'a')).to.be.equal(1);
+        expect(yield db.zrank('board', 'b')).to.be.equal(2);
+        expect(yield db.zrank('board', 'd')).to.be.null;
+      }));
+
+    it('should find members by score', () =>
+      task.spawn(function* () {
+        for (let i = 0; i < 5; i++) {
+          yield db.zadd('tasks', i * 10, `task-${i}`);
+        }
+
+        expect(yield db.zrangeByScore('tasks', 10, 30)).to.be.deep.equal(
+          ['task-1', 'task-2', 'task-3']);
+        expect(yield db.zrangeByScore('tasks', null, 15)).to.be.deep.equal(
+          ['task-0', 'task-1']);
+        expect(yield db.zrangeByScore('tasks', 25, Infinity, {
+          limit: 1,
+          withScores: true
+        })).to.be.deep.equal([{
+          member: 'task-3',
+          score: 30
+        }]);
+        expect(yield db.zrem('tasks', ['task-0', 'task-9'])).to.be.equal(1);
+        expect(yield db.zrangeByScore('tasks', null, 15)).to.be.deep.equal(
+          ['task-1']);
+      }));
+
+    it('should increment scores atomically', () =>
+      task.spawn(function* () {
+        expect(yield db.zincrby('board', 5, 'a')).to.be.equal(5);
+        expect(yield db.zincrby('board', 2.5, 'a')).to.be.equal(7.5);
+        expect(yield db.prefix('x:').zincrby('board', 1, 'b'))
+          .to.be.equal(1);
+        expect(yield db.zrange('board', 0, -1, {withScores: true}))
+          .to.be.deep.equal([{
+            member: 'a',
+            score: 7.5
+          }]);
+      }));
+
+    it('should delete and expire whole sorted sets', () =>
+      task.spawn(function* () {
+        yield db.zadd('board', 1, 'a');
+        yield db.zadd('board_2', 1, 'a');
+        expect(yield db.delete('board')).to.be.true;
+        expect(yield db.zcard('board')).to.be.equal(0);
+
+        yield db.expire('board_2', 1);
+        yield db.zadd('board_2', 2, 'b');
+        yield promise.delay(1100);
+        expect(yield db.zcard('board_2')).to.be.equal(0);
+        expect(yield db.zrange('board_2')).to.be.deep.equal([]);
+      }));
+  });
+
+  describe('#export/#import', () => {
+    const collect = (fn) => task.spawn(function* () {
+      const output = new stream.PassThrough();
+      const chunks = [];
+
+      output.on('data', chunk => chunks.push(chunk));
+      const count = yield fn(output);
+      output.end();
+
+      return {
+        count: count,
+        lines: Buffer.concat(chunks).toString('utf8').split('\n')
+          .filter(line => line.length > 0).map(line => JSON.parse(line))
+      };
+    });
+
+    const source = lines => {
+      const input = new stream.PassThrough();
+
+      input.end(lines.map(line => JSON.stringify(line)).join('\n'));
+      return input;
+    };
+
+    it('should export records as lines of JSON', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          serializer: metaDb.serializers.typed
+        });
+
+        yield db.put('user:1', {name: 'a'}, {ttl: 100});
+        yield db.put('user:2', new Date(1000));
+        yield db.put('other', 1);
+
+        const result = yield collect(output =>
+          db.export(output, {pattern: 'user:*'}));
+
+        expect(result.count).to.be.equal(2);
+        expect(result.lines[0].key).to.be.equal('user:1');
+        expect(result.lines[0].value).to.be.deep.equal({name: 'a'});
+        expect(result.lines[0].ttl).to.be.within(99, 100);
+        expect(result.lines[1].key).to.be.equal('user:2');
+        expect(result.lines[1].typed).to.be.true;
+        expect(result.lines[1].ttl).to.be.null;
+      }));
+
+    it('should export dates stored by json serializer as strings', () =>
+      task.spawn(function* () {
+        yield metaDb.put('user:1', new Date(1000));
+
+        const result = yield collect(output => metaDb.export(output));
+
+        expect(result.lines[0].value).to.be.equal(
+          new Date(1000).toISOString());
+        expect(result.lines[0]).to.not.have.property('typed');
+      }));
+
+    it('should import exported records', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(sequelize, metaDb.tableName(), null, {
+          serializer: metaDb.serializers.typed
+        });
+
+        yield db.put('user:1', new Map([['a', 1]]), {ttl: 100});
+        yield db.put('user:2', 'b');
+
+        const result = yield collect(output => db.export(output));
+
+        yield db.clear();
+        expect(yield db.import(source(result.lines))).to.be.deep.equal({
+          imported: 2,
+          skipped: 0
+        });
+        expect((yield db.get('user:1')).get('a')).to.be.equal(1);
+        expect(yield db.get('user:2')).to.be.equal('b');
+        expect(yield db.ttl('user:1')).to.be.within(98, 100);
+      }));
+
+    it('should respect import modes', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'old');
+
+        const lines = [{
+          key: 'key-1',
+          value: 'new'
+        }, {
+          key: 'key-2',
+          value: 'new'
+        }, {
+          key: 'key-3',
+          value: 'expired',
+          ttl: -1
+        }];
+
+        expect(yield metaDb.import(source(lines), {mode: 'skip'}))
+          .to.be.deep.equal({
+            imported: 1,
+            skipped: 2
+          });
+        expect(yield metaDb.get('key-1')).to.be.equal('old');
+
+        let error = null;
+
+        try {
+          yield metaDb.import(source(lines), {mode: 'fail'});
+        } catch (err) {
+          error = err;
+        }
+
+        expect(error).to.be.an('error');
+
+        yield metaDb.import(source(lines), {batchSize: 1});
+        expect(yield metaDb.get('key-1')).to.be.equal('new');
+        expect(yield metaDb.getOrNull('key-3')).to.be.null;
+      }));
+
+    it('should export and import lists, hashes and sorted sets', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(new Sequelize({
+          dialect: 'sqlite',
+          storage: ':memory:'
+        }), null, null, {score: true});
+
+        yield db.schema.sync();
+        yield db.rpush('app:list', ['a', 'b', 'c']);
+        yield db.hset('app:hash', 'x', 1);
+        yield db.hset('app:hash', 'y', {z: 2});
+        yield db.zadd('app:board', 10, 'p');
+        yield db.zadd('app:board', 5, 'q');
+        yield db.expire('app:list', 100);
+        yield db.put('app:key', 'value');
+        yield db.rpush('other', 'd');
+
+        const result = yield collect(output =>
+          db.export(output, {pattern: 'app:*'}));
+
+        expect(result.count).to.be.equal(8);
+        yield db.clear();
+        expect(yield db.import(source(result.lines))).to.be.deep.equal({
+          imported: 8,
+          skipped: 0
+        });
+        expect(yield db.lrange('app:list')).to.be.deep.equal(['a', 'b', 'c']);
+        expect(yield db.ttl('app:list')).to.be.within(98, 100);
+        expect(yield db.hgetall('app:hash')).to.be.deep.equal({
+          x: 1,
+          y: {z: 2}
+        });
+        expect(yield db.zrange('app:board', 0, -1, {withScores: true}))
+          .to.be.deep.equal([{
+            member: 'q',
+            score: 5
+          }, {
+            member: 'p',
+            score: 10
+          }]);
+        expect(yield db.get('app:key')).to.be.equal('value');
+        expect(yield db.llen('other')).to.be.equal(0);
+
+        const origin = db.prefix('app:');
+        const moved = yield collect(output => origin.export(output));
+
+        yield db.prefix('copy:').import(source(moved.lines));
+        expect(yield db.lrange('copy:list')).to.be.deep.equal(
+          ['a', 'b', 'c']);
+        expect(yield db.hget('copy:hash', 'x')).to.be.equal(1);
+        expect(yield db.zcard('copy:board')).to.be.equal(2);
+      }));
+
+    it('should reject malformed lines', () =>
+      task.spawn(function* () {
+        const cases = [
+          ['{"value":1}', 'invalid record at line 3: key should be a string'],
+          ['{"key":2,"value":1}',
+            'invalid record at line 3: key should be a string'],
+          ['{"key":"key-2","value":1,"ttl":"x"}',
+            'invalid value for key-2 at line 3: ttl should be a number'],
+          ['{"key":"\\u001fschema","value":1}',
+            'invalid value for \u001fschema at line 3: key is reserved'],
+          ['[1]', 'invalid record at line 3: line should be a JSON object']
+        ];
+
+        for (const entry of cases) {
+          const input = new stream.PassThrough();
+
+          input.end(`{"key":"key-1","value":1}\n\n${entry[0]}\n`);
+
+          try {
+            yield metaDb.import(input);
+            throw new Error('it should not had succeeded');
+          } catch (err) {
+            expect(err).to.be.an.instanceof(metaDb.ValidationError);
+            expect(err.line).to.be.equal(3);
+            expect(err.message).to.be.equal(entry[1]);
+          }
+        }
+
+        const input = new stream.PassThrough();
+
+        input.end('{"key":"key-1","value":1}\nnot json\n');
+
+        try {
+          yield metaDb.import(input);
+          throw new Error('it should not had succeeded');
+        } catch (err) {
+          expect(err).to.be.an.instanceof(metaDb.ValidationError);
+          expect(err.line).to.be.equal(2);
+        }
+
+        expect(yield metaDb.count()).to.be.equal(0);
+      }));
+
+    it('should export and import under prefix', () =>
+      task.spawn(function* () {
+        const origin = metaDb.prefix('a:');
+        const target = metaDb.prefix('b:');
+
+        yield origin.put('key', 'value');
+        yield metaDb.put('key', 'other');
+
+        const result = yield collect(output => origin.export(output));
+
+        expect(result.lines.map(line => line.key)).to.be.deep.equal(['key']);
+        yield target.import(source(result.lines));
+        expect(yield metaDb.get('b:key')).to.be.equal('value');
+      }));
+  });
+
+  describe('#migrate()', () => {
+    let database = null;
+
+    beforeEach(() => {
+      database = new Sequelize({
+        dialect: 'sqlite',
+        storage: ':memory:'
+      });
+    });
+
+    it('should create table and record schema version', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(database, 'meta');
+
+        expect(yield db.migrate()).to.be.deep.equal({
+          from: 0,
+          to: 5,
+          created: true,
+          applied: []
+        });
+        expect(yield db.ensureSchema()).to.be.equal(5);
+
+        yield db.put('key', 'value', {ttl: 10});
+        expect(yield db.get('key')).to.be.equal('value');
+        expect((yield db.migrate()).from).to.be.equal(5);
+      }));
+
+    it('should add columns enabled after table was created', () =>
+      task.spawn(function* () {
+        const old = new metaDb.MetaDB(database, 'meta', null, {
+          expires: false
+        });
+
+        yield old.migrate();
+        yield old.put('key', 'value');
+
+        const db = new metaDb.MetaDB(database, 'meta', {
+          owner: {
+            type: Sequelize.STRING,
+            allowNull: true
+          }
+        }, {
+          version: true,
+          score: true
+        });
+        const result = yield db.migrate();
+
+        expect(result.created).to.be.false;
+        expect(result.applied).to.be.deep.equal([2, 3, 4]);
+
+        const layout = yield database.getQueryInterface()
+          .describeTable('meta');
+        const indexes = yield database.getQueryInterface().showIndex('meta');
+
+        expect(layout).to.include.keys(
+          ['expires', 'version', 'score', 'owner']);
+        expect(indexes.map(index => index.name)).to.include.members(
+          ['meta_expires_index', 'meta_score_index']);
+
+        expect(yield db.get('key')).to.be.equal('value');
+        yield db.expire('key', 100);
+        expect(yield db.ttl('key')).to.be.within(99, 100);
+        expect((yield db.migrate()).applied).to.be.deep.equal([]);
+      }));
+
+    it('should rename indexes named by earlier versions', () =>
+      task.spawn(function* () {
+        const queryInterface = database.getQueryInterface();
+        const names = () => queryInterface.showIndex('meta')
+          .then(indexes => indexes.map(index => index.name));
+        const db = new metaDb.MetaDB(database, 'meta', null, {score: true});
+
+        yield db.migrate();
+        yield queryInterface.removeIndex('meta', 'meta_expires_index');
+        yield queryInterface.removeIndex('meta', 'meta_score_index');
+        yield queryInterface.addIndex('meta', ['expires'], {
+          indexName: 'expires_index'
+        });
+        yield queryInterface.addIndex('meta', ['score'], {
+          indexName: 'score_index'
+        });
+        yield db.schema.upsert({
+          key: '\u001fschema',
+          value: 4
+        });
+
+        expect(yield db.migrate()).to.be.deep.equal({
+          from: 4,
+          to: 5,
+          created: false,
+          applied: [5]
+        });
+        const renamed = yield names();
+
+        expect(renamed).to.include.members(
+          ['meta_expires_index', 'meta_score_index']);
+        expect(renamed).to.not.include('expires_index');
+        expect(renamed).to.not.include('score_index');
+        expect((yield db.migrate()).applied).to.be.deep.equal([]);
+      }));
+
+    it('should keep indexes of earlier versions not created again', () =>
+      task.spawn(function* () {
+        const queryInterface = database.getQueryInterface();
+        const db = new metaDb.MetaDB(database, 'meta', null, {
+          expires: false
+        });
+
+        yield new metaDb.MetaDB(database, 'meta').migrate();
+        yield queryInterface.removeIndex('meta', 'meta_expires_index');
+        yield queryInterface.addIndex('meta', ['expires'], {
+          indexName: 'expires_index'
+        });
+
+        expect((yield db.migrate()).applied).to.be.deep.equal([]);
+        expect((yield queryInterface.showIndex('meta'))
+          .map(index => index.name)).to.include('expires_index');
+      }));
+
+    it('should keep schema record out of key space', () =>
+      task.spawn(function* () {
+        const db = new metaDb.MetaDB(database, 'meta');
+
+        yield db.migrate();
+        yield db.put('key', 'value');
+
+        expect(yield db.count()).to.be.equal(1);
+        expect((yield db.all()).map(record => record.key))
+          .to.be.deep.equal(['key']);
+        expect((yield db.scan()).records.map(record => record.key))
+          .to.be.deep.equal(['key']);
+
+        yield db.deletePattern('*');
+        yield db.clear();
+        expect(yield db.count()).to.be.equal(0);
+        expect((yield db.migrate()).from).to.be.equal(5);
+      }));
+  });
+
+  describe('#cli', () => {
+    const run = (args, input) => task.spawn(function* () {
+      const output = {
+        stdout: [],
+        stderr: []
+      };
+      const sink = name => new stream.Writable({
+        write: (chunk, encoding, callback) => {
+          output[name].push(chunk);
+          callback();
+        }
+      });
+      const stdin = new stream.PassThrough();
+
+      stdin.end(input || '');
+
+      const code = yield cli.run(['--table', metaDb.tableName()]
+        .concat(args), {
+          sequelize: sequelize,
+          stdin: stdin,
+          stdout: sink('stdout'),
+          stderr: sink('stderr')
+        });
+
+      return {
+        code: code,
+        stdout: Buffer.concat(output.stdout).toString('utf8'),
+        stderr: Buffer.concat(output.stderr).toString('utf8')
+      };
+    });
+
+    it('should get, put and delete keys', () =>
+      task.spawn(function* () {
+        expect((yield run(['put', 'key', '{"a":1}', '--ttl', '100'])).code)
+          .to.be.equal(0);
+        expect(yield metaDb.get('key')).to.be.deep.equal({a: 1});
+        expect(JSON.parse((yield run(['get', 'key'])).stdout))
+          .to.be.deep.equal({a: 1});
+        expect(JSON.parse((yield run(['--json', 'ttl', 'key'])).stdout))
+          .to.be.deep.equal({
+            key: 'key',
+            ttl: 100
+          });
+        expect((yield run(['del', 'key'])).stdout).to.be.equal('deleted\n');
+
+        const missing = yield run(['get', 'key']);
+
+        expect(missing.code).to.be.equal(1);
+        expect(missing.stderr).to.be.equal('error: key not found: key\n');
+      }));
+
+    it('should list and count keys in pages', () =>
+      task.spawn(function* () {
+        yield metaDb.put('user:1', 1);
+        yield metaDb.put('user:2', 2);
+        yield metaDb.put('user:3', 3);
+        yield metaDb.put('other', 0);
+
+        const first = JSON.parse((yield run(
+          ['--json', 'ls', 'user:*', '--count', '2'])).stdout);
+
+        expect(first.keys).to.be.deep.equal(['user:1', 'user:2']);
+
+        const second = yield run(
+          ['ls', 'user:*', '--count=2', '--cursor', first.cursor]);
+
+        expect(second.stdout).to.be.equal('user:3\n');
+        expect((yield run(['count', 'user:*'])).stdout).to.be.equal('3\n');
+      }));
+
+    it('should export and import records', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+        yield metaDb.put('key-2', 'value-2');
+
+        const exported = yield run(['export']);
+
+        expect(exported.stderr).to.be.equal('exported 2\n');
+
+        yield metaDb.clear();
+        expect(JSON.parse((yield run(['--json', 'import'],
+          exported.stdout)).stdout)).to.be.deep.equal({
+            imported: 2,
+            skipped: 0
+          });
+        expect(yield metaDb.get('key-2')).to.be.equal('value-2');
+      }));
+
+    it('should keep summary of json export out of exported records', () =>
+      task.spawn(function* () {
+        yield metaDb.put('key-1', 'value-1');
+
+        const exported = yield run(['--json', 'export']);
+
+        expect(JSON.parse(exported.stderr)).to.be.deep.equal({
+          exported: 1
+        });
+        expect(exported.stdout.trim().split('\n')).to.have.lengthOf(1);
+
+        yield metaDb.clear();
+        yield run(['import'], exported.stdout);
+        expect(iterable.from(yield metaDb.all())
+          .select(x => [x.key, x.value])
+          .toArray()).to.be.deep.equal([['key-1', 'value-1']]);
+      }));
+
+    it('should reject invalid command lines', () =>
+      task.spawn(function* () {
+        expect((yield run(['unknown'])).code).to.be.equal(2);
+        expect((yield run(['get'])).code).to.be.equal(2);
+        expect((yield run(['put', 'key', '{invalid'])).code).to.be.equal(2);
+        expect((yield run(['put', 'key', '1', '--ttl', 'x'])).code)
+          .to.be.equal(2);
+        expect(yield metaDb.has('key')).to.be.false;
+        expect((yield run(['--json'])).stderr).to.have.string('usage:');
+      }));
+  });
+
+  describe('#patterns', () => {
+    const keys = records => records.map(record => record.key).sort();
+
+    beforeEach(() => task.spawn(function* () {
+      for (const key of ['user_id:1', 'userXid:2', '100%', '1000', 'a*b',
+        'axb', 'key-a', 'key-b', 'key-C', 'key-7', 'Key-a']) {
+        yield metaDb.put(key, key);
+      }
+    }));
+
+    it('should match % and _ literally', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.count('user_id:*')).to.be.equal(1);
+        expect(keys(yield metaDb.all(null, null, '100%'))).to.be.deep.equal(
+          ['100%']);
+      }));
+
+    it('should escape wildcards with backslash', () =>
+      task.spawn(function* () {
+        expect(keys(yield metaDb.all(null, null, 'a\\*b')))
+          .to.be.deep.equal(['a*b']);
+        expect(keys(yield metaDb.all(null, null, 'a?b')))
+          .to.be.deep.equal(['a*b', 'axb']);
+        expect(keys(yield metaDb.all(null, null,
+          `${metaDb.escapePattern('a*')}*`))).to.be.deep.equal(['a*b']);
+      }));
+
+    it('should match character classes case sensitively', () =>
+      task.spawn(function* () {
+        expect(keys(yield metaDb.all(null, null, 'key-[ab]')))
+          .to.be.deep.equal(['key-a', 'key-b']);
+        expect(keys(yield metaDb.all(null, null, 'key-[a-z]')))
+          .to.be.deep.equal(['key-a', 'key-b']);
+        expect(keys(yield metaDb.all(null, null, 'key-[!a-z]')))
+          .to.be.deep.equal(['key-7', 'key-C']);
+        expect(keys((yield metaDb.scan('[kK]ey-a', {count: 10})).records))
+          .to.be.deep.equal(['Key-a', 'key-a']);
+        expect(yield metaDb.deletePattern('key-[0-9]')).to.be.equal(1);
+      }));
+
+    it('should match prefix literally', () =>
+      task.spawn(function* () {
+        yield metaDb.put('p*x', 1);
+        yield metaDb.put('p_[x]:1', 1);
+
+        expect(yield metaDb.prefix('p_[x]:').count()).to.be.equal(1);
+        expect(yield metaDb.prefix('p*').count()).to.be.equal(1);
+      }));
+
+    it('should validate using full patterns', () =>
+      task.spawn(function* () {
+        metaDb.addValidator('age:[0-9]*', value => typeof value === 'number');
+
+        try {
+          let error = null;
+
+          yield metaDb.put('age:x', 'old');
+
+          try {
+            yield metaDb.put('age:1', 'old');
+          } catch (err) {
+            error = err;
+          }
+
+          expect(error).to.be.an.instanceof(metaDb.ValidationError);
+        } finally {
+          metaDb.removeValidator('age:[0-9]*');
+        }
+      }));
+  });
+
+  describe('#value filters', () => {
+    const keys = records => records.map(record => record.key).sort();
+
+    beforeEach(() => task.spawn(function* () {
+      yield metaDb.put('session:1', {userId: 42, tags: ['a', 'b']});
+      yield metaDb.put('session:2', {userId: 42, admin: true});
+      yield metaDb.put('session:3', {userId: '42', user: {name: 'x'}});
+      yield metaDb.put('session:4', {userId: null});
+      yield metaDb.put('other', {userId: 42});
+    }));
+
+    it('should filter records by value at path', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.count('session:*', {
+          valuePath: 'userId',
+          eq: 42
+        })).to.be.equal(2);
+        expect(keys(yield metaDb.all(null, null, null, {
+          valuePath: 'userId',
+          eq: 42
+        }))).to.be.deep.equal(['other', 'session:1', 'session:2']);
+        expect(keys(yield metaDb.all(null, null, null, {
+          valuePath: 'user.name',
+          eq: 'x'
+        }))).to.be.deep.equal(['session:3']);
+        expect(keys(yield metaDb.all(null, null, null, {
+          valuePath: 'tags.1',
+          eq: 'b'
+        }))).to.be.deep.equal(['session:1']);
+        expect(keys((yield metaDb.scan('session:*', {
+          where: {
+            valuePath: 'admin',
+            eq: true
+          }
+        })).records)).to.be.deep.equal(['session:2']);
+      }));
+
+    it('should treat missing values as null', () =>
+      task.spawn(function* () {
+        expect(yield metaDb.count('session:*', {
+          valuePath: 'admin',
+          ne: true
+        })).to.be.equal(3);
+        expect(yield metaDb.count('session:*', {
+          valuePath: 'tags',
+          eq: null
+        })).to.be.equal(3);
+        expect(yield metaDb.count('session:*', {
+          valuePath: 'userId',
+          ne: null
+        })).to.be.equal(3);
+      }));
+
+    it('should filter under prefix using an index', () =>
+      task.spawn(function* () {
+        yield metaDb.createValueIndex('userId');
+        expect(yield metaDb.prefix('session:').count(null, {
+          valuePath: 'userId',
+          eq: 42
+        })).to.be.equal(2);
+      }));
+
+    it('should reject invalid filters', () =>
+      task.spawn(function* () {
+        for (const filter of [{
+          valuePath: 'a..b',
+          eq: 1
+        }, {
+          valuePath: 'a',
+          eq: {}
+        }, {
+          valuePath: 'a'
+        }]) {
+          let error = null;
+
+          try {
+            yield metaDb.count(null, filter);
+          } catch (err) {
+            error = err;
+          }
+
+          expect(error).to.be.an('error');
+        }
+      }));
+  });
+
+  describe('#sequelize versions', () => {
+    for (const version of ['sequelize', 'sequelize-v4', 'sequelize-v5',
+      'sequelize-v6']) {
+      describe(version, () => {
+        let db = null;
+
+        beforeEach(() => {
+          const VersionedSequelize = require(version);
+          const database = new VersionedSequelize({
+            dialect: 'sqlite',
+            storage: ':memory:',
+            logging: false
+          });
+
+          db = new metaDb.MetaDB(database, 'meta');
+          return database.sync();
+        });
+
+        it('should get, expire and delete keys', () =>
+          task.spawn(function* () {
+            yield db.put('key', 'value');
+            expect(yield db.get('key')).to.be.equal('value');
+            expect(yield db.ttl('key')).to.be.null;
+
+            yield db.expire('key', 100);
+            expect(yield db.ttl('key')).to.be.within(99, 100);
+            expect(yield db.delete('key')).to.be.true;
+            expect(yield db.getOrNull('key')).to.be.null;
+            expect(yield db.delete('key')).to.be.false;
+          }));
+
+        it('should count, list and collect garbage', () =>
+          task.spawn(function* () {
+            yield db.put('key-1', 1);
+            yield db.put('key-2', 2, {ttl: 1});
+            yield db.put('other', 3);
+            yield db.rpush('list', ['a', 'b']);
+
+            expect(yield db.count('key-*')).to.be.equal(2);
+            expect((yield db.all(0, 10, 'key-*')).map(record => record.value)
+              .sort()).to.be.deep.equal([1, 2]);
+            expect(yield db.lrange('list')).to.be.deep.equal(['a', 'b']);
+
+            yield promise.delay(1100);
+            expect(yield db.count('key-*')).to.be.equal(1);
+            expect((yield db.gc()).keys).to.be.deep.equal(['key-2']);
+          }));
+      });
+    }
+  });
 });